@@ -2,493 +2,527 @@
 /**
  * Minimal EPUB to Markdown-like converter.
  *
- * Usage: node epub2markup.js path/to/book.epub [output-file]
+ * Usage: node epub2markup.js [options] path/to/book.epub [output-file]
+ *        node epub2markup.js --batch --out-dir <dir> [options] <dir|glob|file>...
+ *        node epub2markup.js --check [--format json] path/to/book.epub [report-file]
+ *        node epub2markup.js --renditions [--format json] path/to/book.epub
+ *        node epub2markup.js build [options] <folder> [output.epub]
+ *        node epub2markup.js serve [--port <n>] [--host <addr>]
+ * (run with --help for the full option list)
  *
  * Converts the EPUB spine (in reading order) into a single Markdown-ish string,
- * preserving basic structure (headings, paragraphs, lists, emphasis). Depends
- * on the system `unzip` command; no npm installs required.
+ * preserving basic structure (headings, paragraphs, lists, emphasis). Reads the
+ * archive with the bundled ZIP reader in lib/zip.js; no npm installs required.
+ *
+ * This file is the CLI; `require()` it to get the conversion API from
+ * lib/convert.js (`convertEpub`, `openEpub`, `convertBook`, `streamBook`,
+ * `EpubError`), plus `chunkBook`, `checkEpub`, `buildEpub`, `listRenditions`
+ * and `readOverlays`.
  */
 
 const fs = require('node:fs');
-const os = require('node:os');
 const path = require('node:path');
-const { execFileSync } = require('node:child_process');
 const readline = require('node:readline');
-
-const [, , inputArg, outputArg] = process.argv;
+const {
+  IMAGE_POLICIES,
+  openEpub,
+  listRenditions,
+  streamBook,
+  convertBook,
+  convertEpub,
+} = require('./lib/convert');
+const { EpubError, ErrorCodes } = require('./lib/errors');
+const { UsageError, parseArgs, formatHelp } = require('./lib/args');
+const { isOccupied, writeSingle, writeJsonLines, writeSplit } = require('./lib/output');
+const { findEpubs, runBatch, formatReport, defaultJobs } = require('./lib/batch');
+const { FORMATS, getFormat } = require('./lib/formats');
+const { CHUNK_FORMATS, CHUNK_UNITS, chunkBook } = require('./lib/chunk');
+const { buildEpub } = require('./lib/build');
+const { CHAPTER_TYPES } = require('./lib/epub');
+const { checkEpub, formatCheckReport } = require('./lib/check');
+const { findConfig, loadRules } = require('./lib/rules');
+const { createService } = require('./lib/serve');
+const { OVERLAY_FORMATS, readOverlays, overlayFiles } = require('./lib/overlays');
+
+const CLI_OPTIONS = [
+  { name: 'format', type: 'string', valueName: 'name', default: 'markdown', choices: Object.keys(FORMATS), description: 'Output format' },
+  { name: 'split', alias: 's', type: 'boolean', description: 'Write one file per chapter instead of a single file' },
+  { name: 'images', alias: 'i', type: 'boolean', description: 'Copy referenced images into an images/ subfolder (implies --split)' },
+  { name: 'image-policy', type: 'string', valueName: 'policy', choices: IMAGE_POLICIES, description: 'What to do with images: extract them next to the output, inline them as data URIs, drop them, or keep-alt (their alt text)' },
+  { name: 'nested', alias: 'n', type: 'boolean', description: 'Mirror the TOC hierarchy as nested folders with an index file each (implies --split)' },
+  { name: 'out-dir', alias: 'o', type: 'string', valueName: 'dir', description: 'Folder to write into (split chapters, or the single file when no output-file is given)' },
+  { name: 'internal-links', alias: 'l', type: 'boolean', description: 'Keep links between chapters, pointing at the generated heading anchors' },
+  { name: 'front-matter', type: 'boolean', description: 'Start the output (each chapter file in split mode) with the book metadata (YAML front matter in Markdown)' },
+  { name: 'toc', type: 'boolean', description: 'Add a table of contents: at the top of a single file, or as an index file next to split chapters' },
+  { name: 'summary', type: 'boolean', description: 'Write the split table of contents as an mdBook/GitBook SUMMARY.md (implies --split and --toc)' },
+  { name: 'toc-depth', type: 'number', valueName: 'n', default: 1, description: 'Deepest table-of-contents level that starts a new chapter' },
+  { name: 'include', type: 'string', valueName: 'types', description: 'Only convert chapters of these comma-separated types (e.g. bodymatter,appendix)' },
+  { name: 'exclude', type: 'string', valueName: 'types', description: 'Leave out chapters of these types (e.g. cover,copyright,seriespage,index)' },
+  { name: 'config', type: 'string', valueName: 'file', description: 'Conversion rules file (default: the nearest .epub2markuprc.json or .epub2markuprc.js)' },
+  { name: 'profile', type: 'string', valueName: 'name', description: 'Use this profile from the rules file on top of its top-level rules' },
+  { name: 'chunk', type: 'number', valueName: 'size', description: 'Write JSONL chunks of about this size for embedding/RAG instead of a document' },
+  { name: 'chunk-unit', type: 'string', valueName: 'unit', default: 'chars', choices: CHUNK_UNITS, description: 'Unit of --chunk and --chunk-overlap: chars, or tokens (about 4 chars each)' },
+  { name: 'chunk-overlap', type: 'number', valueName: 'n', default: 0, description: 'How much of the previous chunk to repeat when a break is made for size' },
+  { name: 'rendition', type: 'string', valueName: 'which', description: 'Which rendition of a multi-rendition book to convert or check: its number, a language (e.g. ja) or a layout (reflowable, fixed)' },
+  { name: 'renditions', type: 'boolean', description: 'List the book\'s renditions instead of converting it (JSON with --format json)' },
+  { name: 'overlays', type: 'string', valueName: 'format', choices: OVERLAY_FORMATS, description: 'Write the read-aloud (media overlay) timings next to the output: one JSON file, or a WebVTT file per audio file' },
+  { name: 'check', type: 'boolean', description: 'Validate the EPUB structure and print a report instead of converting (JSON with --format json)' },
+  { name: 'batch', alias: 'b', type: 'boolean', description: 'Convert every EPUB found in the given directories, globs or files into --out-dir' },
+  { name: 'jobs', alias: 'j', type: 'number', valueName: 'n', default: defaultJobs(), description: 'Worker threads used in batch mode; conversions at once for serve' },
+  { name: 'report', type: 'string', valueName: 'file', description: 'Where batch mode writes its JSON report (default <out-dir>/report.json)' },
+  { name: 'title', type: 'string', valueName: 'text', description: 'build: book title (default: from front matter, else the folder name)' },
+  { name: 'author', type: 'string', valueName: 'names', description: 'build: author names, separated by ";"' },
+  { name: 'language', type: 'string', valueName: 'code', description: 'build: book language (default: from front matter, else en)' },
+  { name: 'identifier', type: 'string', valueName: 'id', description: 'build: unique identifier such as an ISBN URN (default: a new urn:uuid)' },
+  { name: 'publisher', type: 'string', valueName: 'name', description: 'build: publisher' },
+  { name: 'port', type: 'number', valueName: 'n', default: 8080, description: 'serve: port to listen on' },
+  { name: 'host', type: 'string', valueName: 'addr', default: '127.0.0.1', description: 'serve: address to listen on' },
+  { name: 'max-upload', type: 'number', valueName: 'MB', default: 100, description: 'serve: largest EPUB accepted, in megabytes' },
+  { name: 'yes', alias: 'y', type: 'boolean', description: 'Never prompt; use defaults for anything no flag settles' },
+  { name: 'force', alias: 'f', type: 'boolean', description: 'Overwrite existing output files' },
+  { name: 'quiet', alias: 'q', type: 'boolean', description: 'Hide the progress bar and status messages' },
+  { name: 'help', alias: 'h', type: 'boolean', description: 'Show this help' },
+];
+
+const HELP = formatHelp({
+  usage: 'node epub2markup.js [options] path/to/book.epub [output-file]\n'
+    + '       node epub2markup.js --batch --out-dir <dir> [options] <dir|glob|file>...\n'
+    + '       node epub2markup.js --check [--format json] path/to/book.epub [report-file]\n'
+    + '       node epub2markup.js --renditions [--format json] path/to/book.epub\n'
+    + '       node epub2markup.js build [options] <folder> [output.epub]\n'
+    + '       node epub2markup.js serve [--port <n>] [--host <addr>] [--jobs <n>] [--max-upload <MB>]',
+  description: [
+    'Converts an EPUB into Markdown, or plain text, HTML, AsciiDoc or JSON with',
+    '--format. Without output-file or --out-dir the single-file result is printed',
+    'to stdout. In a terminal you are asked for the output mode unless --split,',
+    '--nested, --images or --yes settles it. --check reports structural problems',
+    'in the EPUB instead of converting it. `build` packages a folder of Markdown',
+    'chapters (as written by --split or --nested) back into an EPUB 3.',
+  ].join('\n'),
+  specs: CLI_OPTIONS,
+  footer: [
+    'Examples:',
+    '  node epub2markup.js book.epub book.md',
+    '  node epub2markup.js --split --images --out-dir out/book book.epub',
+    '  node epub2markup.js --split --toc-depth 2 --yes --force book.epub',
+    '  node epub2markup.js --nested --toc-depth 3 --out-dir out/book book.epub',
+    '  node epub2markup.js --format html book.epub book.html',
+    '  node epub2markup.js --toc --internal-links book.epub book.md',
+    '  node epub2markup.js --summary --toc-depth 2 --out-dir book/src book.epub',
+    '  node epub2markup.js --exclude cover,copyright,toc,seriespage,index book.epub book.md',
+    '  node epub2markup.js --config quirks.json --profile acme book.epub book.md',
+    '  node epub2markup.js --chunk 512 --chunk-unit tokens --chunk-overlap 64 book.epub book.jsonl',
+    '  node epub2markup.js --batch --split --jobs 4 --out-dir out library/ "more/**/*.epub"',
+    '  node epub2markup.js --check --format json book.epub',
+    '  node epub2markup.js --rendition ja --overlays vtt book.epub book.md',
+    '  node epub2markup.js build --title "My Book" --author "Jane Doe" out/book my-book.epub',
+    '  node epub2markup.js serve --port 8080 --jobs 2',
+  ].join('\n'),
+});
 
 function usage() {
-  console.log('Usage: node epub2markup.js path/to/book.epub [output-file]');
+  console.log('Usage: node epub2markup.js [options] path/to/book.epub [output-file]');
+  console.log('Run with --help for all options.');
 }
 
-if (!inputArg) {
-  usage();
-  process.exit(1);
-}
-
-const inputPath = path.resolve(process.cwd(), inputArg);
-const outputPath = outputArg ? path.resolve(process.cwd(), outputArg) : null;
-
-if (!fs.existsSync(inputPath)) {
-  console.error(`Input file not found: ${inputPath}`);
-  process.exit(1);
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-let tempDir;
-const cleanup = () => {
-  if (tempDir && fs.existsSync(tempDir)) {
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  }
-};
-process.on('exit', cleanup);
-process.on('SIGINT', () => {
-  cleanup();
-  process.exit(130);
-});
+// Every snapshot also updates the peak reported in the final summary.
+const peakMemory = { rss: 0, heapUsed: 0 };
 
-function ensureUnzipAvailable() {
-  try {
-    execFileSync('unzip', ['-v'], { stdio: 'ignore' });
-  } catch (err) {
-    throw new Error('The "unzip" command is required but was not found on PATH.');
-  }
+function memorySnapshot({ peak = false } = {}) {
+  const { rss, heapUsed } = process.memoryUsage();
+  peakMemory.rss = Math.max(peakMemory.rss, rss);
+  peakMemory.heapUsed = Math.max(peakMemory.heapUsed, heapUsed);
+  const shown = peak ? peakMemory : { rss, heapUsed };
+  return `rss ${formatBytes(shown.rss)}, heap ${formatBytes(shown.heapUsed)}`;
 }
 
-function unzipEpub(epubPath, destination) {
-  execFileSync('unzip', ['-qq', epubPath, '-d', destination]);
+function safeBaseNameFromTitle(title) {
+  if (!title) return null;
+  const cleaned = title.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').slice(0, 120);
+  return cleaned || null;
 }
 
-function readText(filePath, label) {
-  try {
-    return fs.readFileSync(filePath, 'utf8');
-  } catch (err) {
-    throw new Error(`Could not read ${label || filePath}: ${err.message}`);
+// One readline interface for the whole run. Lines are queued so answers typed
+// (or piped) ahead of the next question are not lost; EOF answers with ''.
+let promptInterface = null;
+const queuedAnswers = [];
+let waitingForAnswer = null;
+
+function ask(question) {
+  if (!promptInterface) {
+    promptInterface = readline.createInterface({ input: process.stdin, output: process.stdout });
+    promptInterface.on('line', (line) => {
+      if (waitingForAnswer) {
+        const resolve = waitingForAnswer;
+        waitingForAnswer = null;
+        resolve(line.trim());
+      } else {
+        queuedAnswers.push(line.trim());
+      }
+    });
+    promptInterface.on('close', () => {
+      if (waitingForAnswer) waitingForAnswer('');
+      waitingForAnswer = null;
+    });
   }
+  promptInterface.setPrompt(question);
+  promptInterface.prompt();
+  if (queuedAnswers.length) return Promise.resolve(queuedAnswers.shift());
+  return new Promise((resolve) => {
+    waitingForAnswer = resolve;
+  });
 }
 
-function extractRootfile(containerXml) {
-  const match = containerXml.match(/full-path="([^"]+)"/i);
-  return match ? match[1] : null;
+function closePrompts() {
+  if (promptInterface) promptInterface.close();
+  promptInterface = null;
 }
 
-function attrFromTag(tag, name) {
-  const regex = new RegExp(`${name}="([^"]+)"`, 'i');
-  const match = tag.match(regex);
-  return match ? match[1] : null;
+async function promptSplit(totalChapters) {
+  console.log('\n📖 Select output mode:');
+  console.log('1) Single file (default)');
+  console.log(`2) Split into chapters (${totalChapters} parts)`);
+  const answer = await ask('Choice (1/2): ');
+  return answer === '2' ? 'split' : 'single';
 }
 
-function parseManifest(opfText) {
-  const manifest = {};
-  const itemRegex = /<item\b[^>]*?>/gi;
-
-  const tags = opfText.match(itemRegex) || [];
-  for (const tag of tags) {
-    const id = attrFromTag(tag, 'id');
-    const href = attrFromTag(tag, 'href');
-    const mediaType = attrFromTag(tag, 'media-type');
-    const properties = attrFromTag(tag, 'properties');
-    if (id && href) {
-      manifest[id] = { href, mediaType, properties };
-    }
-  }
-  return manifest;
+async function promptImages() {
+  const answer = await ask('Include images in output folder? (y/n): ');
+  return /^y(es)?$/i.test(answer);
 }
 
-function parseSpine(opfText) {
-  const spine = [];
-  const spineRegex = /<itemref\b[^>]*?>/gi;
-  const tags = opfText.match(spineRegex) || [];
-  for (const tag of tags) {
-    const idref = attrFromTag(tag, 'idref');
-    if (idref) spine.push(idref);
-  }
-  return spine;
+async function promptFolderName(defaultName) {
+  const answer = await ask(`Folder name for split output [${defaultName}]: `);
+  return answer || defaultName;
 }
 
-function decodeEntities(text) {
-  const named = {
-    amp: '&',
-    lt: '<',
-    gt: '>',
-    quot: '"',
-    apos: "'",
-    nbsp: ' ',
-  };
-
-  return text.replace(/&(#x?[0-9a-fA-F]+|\w+);/g, (full, entity) => {
-    if (entity.startsWith('#x') || entity.startsWith('#X')) {
-      const code = parseInt(entity.slice(2), 16);
-      return Number.isFinite(code) ? String.fromCharCode(code) : full;
-    }
-    if (entity.startsWith('#')) {
-      const code = parseInt(entity.slice(1), 10);
-      return Number.isFinite(code) ? String.fromCharCode(code) : full;
-    }
-    return Object.prototype.hasOwnProperty.call(named, entity) ? named[entity] : full;
-  });
+async function promptOverwrite(target) {
+  const answer = await ask(`${target} already exists. Overwrite? (y/N): `);
+  return /^y(es)?$/i.test(answer);
 }
 
-function convertHtmlToMarkup(html, options = {}) {
-  const { rewriteImageSrc, baseDir } = options;
-  let text = html;
-
-  // Drop scripts/styles.
-  text = text.replace(/<script[\s\S]*?<\/script>/gi, '');
-  text = text.replace(/<style[\s\S]*?<\/style>/gi, '');
-
-  // Handle media and anchors before stripping tags.
-  text = text.replace(/<img\b[^>]*>/gi, (tag) => {
-    const alt = attrFromTag(tag, 'alt') || '';
-    const src = attrFromTag(tag, 'src') || '';
-    if (!src) return '';
-    const finalSrc = rewriteImageSrc ? rewriteImageSrc(src, { baseDir }) : src;
-    return `![${alt}](${finalSrc})`;
-  });
-
-  text = text.replace(/<a\b[^>]*>([\s\S]*?)<\/a>/gi, (match, body) => {
-    const href = attrFromTag(match, 'href') || '';
-    const label = body.trim() || href || '';
-    const isTocLink = /#toc\b/i.test(href) || /toc\.x?html/i.test(href) || /nav\.x?html/i.test(href);
-    const isInternalDoc = /\.(xhtml?|htm)(#|$)/i.test(href) && !/^https?:/i.test(href);
-    if (!href || isTocLink || isInternalDoc) return label;
-    return `[${label}](${href})`;
-  });
-
-  // Structural tags to Markdown-ish equivalents.
-  const heading = (level, body) => `${'#'.repeat(level)} ${body.trim()}\n\n`;
-  text = text.replace(/<h1[^>]*>([\s\S]*?)<\/h1>/gi, (_, body) => heading(1, body));
-  text = text.replace(/<h2[^>]*>([\s\S]*?)<\/h2>/gi, (_, body) => heading(2, body));
-  text = text.replace(/<h3[^>]*>([\s\S]*?)<\/h3>/gi, (_, body) => heading(3, body));
-  text = text.replace(/<h4[^>]*>([\s\S]*?)<\/h4>/gi, (_, body) => heading(4, body));
-  text = text.replace(/<h5[^>]*>([\s\S]*?)<\/h5>/gi, (_, body) => heading(5, body));
-  text = text.replace(/<h6[^>]*>([\s\S]*?)<\/h6>/gi, (_, body) => heading(6, body));
-
-  text = text.replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (_, body) => `> ${body.trim()}\n\n`);
-
-  text = text.replace(/<br\s*\/?>/gi, '\n');
-
-  text = text.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (_, body) => `- ${body.trim()}\n`);
-  text = text.replace(/<\/(ul|ol)>/gi, '\n');
-
-  text = text.replace(/<\/p>/gi, '\n\n');
-  text = text.replace(/<p[^>]*>/gi, '');
-
-  // Inline emphasis/strong/code.
-  text = text.replace(/<(em|i)[^>]*>([\s\S]*?)<\/\1>/gi, (_, __, body) => `*${body.trim()}*`);
-  text = text.replace(/<(strong|b)[^>]*>([\s\S]*?)<\/\1>/gi, (_, __, body) => `**${body.trim()}**`);
-  text = text.replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, (_, body) => `\`${body.trim()}\``);
-
-  // Collapse runaway emphasis markers (e.g., literal "**" in source).
-  text = text.replace(/\*{4,}/g, '**');
-  text = text.replace(/(#{1,6}\s*)\[(\*\*[^*\n]+?\*\*)(?![^\n]*\])/g, '$1$2');
-
-  // Trim spaces just inside emphasis markers: "* text *" -> "*text*".
-  text = text.replace(/\*\*([\s\S]*?)\*\*/g, (_, body) => `**${body.trim()}**`);
-  text = text.replace(/\*([\s\S]*?)\*/g, (_, body) => `*${body.trim()}*`);
-
-  // Remove remaining tags.
-  text = text.replace(/<[^>]+>/g, '');
-  text = decodeEntities(text);
-
-  // Drop lingering toc/nav markdown links.
-  text = text.replace(/\[([^\]]+)\]\([^)]+#toc[^)]*\)/gi, '$1');
-  text = text.replace(/\[([^\]]+)\]\([^)]+toc\.x?html[^)]*\)/gi, '$1');
-  text = text.replace(/\[([^\]]+)\]\([^)]+nav\.x?html[^)]*\)/gi, '$1');
-  text = text.replace(/\[([^\]]+)\]\([^)]+\.xhtml[^)]*\)/gi, '$1');
-  text = text.replace(/\[([^\]]+)\]\([^)]+\.html[^)]*\)/gi, '$1');
-
-  // Ensure space after closing emphasis/strong/code when followed by alphanumerics with no space.
-  text = text.replace(/(\*{1,2}[^*]+?\*{1,2})(?=[A-Za-z0-9])/g, '$1 ');
-  text = text.replace(/(`[^`]+`)(?=[A-Za-z0-9])/g, '$1 ');
-
-  // Normalize spacing inside emphasis markers (catch lingering spaces after the opening or before the closing).
-  text = text.replace(/(\*{1,2})\s*([^\*\n][^*]*?)\s*(\*{1,2})/g, '$1$2$3');
-
-  // Strip leading indentation/tabs per line to avoid Markdown code blocks and collapse excess spaces.
-  text = text.replace(/\t+/g, ' ');
-  text = text.replace(/^[ \t]+/gm, '');
-  text = text.replace(/ {2,}/g, ' ');
-
-  // Normalize whitespace.
-  text = text.split('\n').map((line) => line.trimEnd()).join('\n');
-  text = text.replace(/\n{3,}/g, '\n\n');
-
-  return text.trim();
-}
-
-function formatBytes(bytes) {
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+// Refuse to clobber existing output unless --force is given or the user agrees.
+async function ensureWritable(target, { force, interactive }) {
+  if (force || !isOccupied(target)) return;
+  if (interactive && await promptOverwrite(target)) return;
+  throw new UsageError(`${target} already exists; use --force to overwrite.`);
 }
 
-function memorySnapshot() {
-  const { rss, heapUsed } = process.memoryUsage();
-  return `rss ${formatBytes(rss)}, heap ${formatBytes(heapUsed)}`;
+// Checks the chunking options; null when --chunk isn't given.
+function chunkSettings(options) {
+  if (options.chunk === undefined) return null;
+  if (!Number.isInteger(options.chunk) || options.chunk < 1) {
+    throw new UsageError('Option --chunk expects a whole number of 1 or more.');
+  }
+  const overlap = options['chunk-overlap'];
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= options.chunk) {
+    throw new UsageError('Option --chunk-overlap expects a whole number below the chunk size.');
+  }
+  if (options.split || options.nested || options.images || options.summary || options['image-policy'] === 'extract') {
+    throw new UsageError('Option --chunk writes a single JSONL file and can\'t be combined with --split, --nested, --images, --summary or --image-policy extract.');
+  }
+  if (options.toc) {
+    throw new UsageError('Option --chunk can\'t be combined with --toc.');
+  }
+  if (!CHUNK_FORMATS.includes(options.format)) {
+    throw new UsageError(`Option --chunk works with --format ${CHUNK_FORMATS.join(' or ')}.`);
+  }
+  return { size: options.chunk, unit: options['chunk-unit'], overlap };
 }
 
-function slugifyTitle(title, index) {
-  const prefix = String(index).padStart(2, '0');
-  const cleaned = (title || '').trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ');
-  const truncated = cleaned.length ? cleaned.slice(0, 80) : `Chapter ${prefix}`;
-  return `${prefix} ${truncated}`.trim();
+// --summary is Markdown's table of contents for split output.
+function checkSummary(options) {
+  if (options.summary && options.format !== 'markdown') {
+    throw new UsageError('Option --summary writes a Markdown SUMMARY.md; it works with --format markdown only.');
+  }
 }
 
-function safeBaseNameFromTitle(title) {
-  if (!title) return null;
-  const cleaned = title.trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').slice(0, 120);
-  return cleaned || null;
+// --include/--exclude lists; see CHAPTER_TYPES in lib/epub.js.
+function chapterTypes(options, name) {
+  if (!options[name]) return [];
+  const types = options[name].split(',').map((type) => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.find((type) => !Object.prototype.hasOwnProperty.call(CHAPTER_TYPES, type));
+  if (unknown) {
+    throw new UsageError(`Option --${name}: unknown chapter type "${unknown}". Types: ${Object.keys(CHAPTER_TYPES).join(', ')}.`);
+  }
+  return types;
 }
 
-function findNavItem(manifest) {
-  const entries = Object.values(manifest);
-  for (const item of entries) {
-    if (item.properties && item.properties.split(/\s+/).includes('nav')) {
-      return item;
-    }
+// Rules from --config (or the nearest rc file), with --profile's first.
+function conversionRules(options) {
+  const configPath = options.config ? path.resolve(process.cwd(), options.config) : findConfig();
+  try {
+    return { configPath, rules: loadRules({ configPath, profile: options.profile || null }) };
+  } catch (err) {
+    throw new UsageError(err.message);
   }
-  return null;
 }
 
-function stripTags(text) {
-  return decodeEntities(text.replace(/<[^>]+>/g, '')).trim();
+// --images is short for --split --image-policy extract.
+function imagePolicyOf(options) {
+  const policy = options['image-policy'] || null;
+  if (options.images && policy && policy !== 'extract') {
+    throw new UsageError(`Option --images extracts images; it can't be combined with --image-policy ${policy}.`);
+  }
+  return options.images ? 'extract' : policy;
 }
 
-function parseNavHtml(navHtml) {
-  // Try to scope to the main TOC nav if present.
-  const navMatch = navHtml.match(/<nav[^>]*?(epub:type="toc"[^>]*|role="doc-toc"[^>]*)>[\s\S]*?<\/nav>/i);
-  const tocHtml = navMatch ? navMatch[0] : navHtml;
-  const links = [];
-  const tokenRegex = /<\/?ol[^>]*>|<\/?li[^>]*>|<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi;
-  let depth = 0;
-  let match;
-  while ((match = tokenRegex.exec(tocHtml)) !== null) {
-    const [token, href, labelRaw] = match;
-    if (/^<ol/i.test(token)) {
-      depth += 1;
-    } else if (/^<\/ol/i.test(token)) {
-      depth = Math.max(0, depth - 1);
-    } else if (/^<a/i.test(token)) {
-      const label = stripTags(labelRaw);
-      if (href) {
-        links.push({ href, label: label || href, depth });
-      }
-    }
+// Batch mode never prompts; books go to <out-dir>/<path below the input> plus
+// the format's extension (or a folder of that name when splitting).
+async function mainBatch(options, inputs) {
+  if (!inputs.length) {
+    throw new UsageError('Batch mode needs at least one directory, glob or EPUB file.');
+  }
+  if (!options['out-dir']) {
+    throw new UsageError('Batch mode needs --out-dir.');
+  }
+  if (!Number.isInteger(options.jobs) || options.jobs < 1) {
+    throw new UsageError('Option --jobs expects a whole number of 1 or more.');
+  }
+  const quiet = Boolean(options.quiet);
+  const outDir = path.resolve(process.cwd(), options['out-dir']);
+  const files = findEpubs(inputs);
+  if (!files.length) {
+    throw new UsageError(`No EPUB files found in ${inputs.join(', ')}`);
   }
-  return links;
-}
 
-function resolveHref(baseDir, href) {
-  const [filePart, fragment] = href.split('#');
-  const filePath = path.normalize(path.join(baseDir, filePart || ''));
-  return { filePath, fragment: fragment || null };
+  const chunk = chunkSettings(options);
+  checkSummary(options);
+  const { configPath } = conversionRules(options);
+  const split = Boolean(options.split || options.nested || options.images || options.summary);
+  const tasks = files.map((file) => ({
+    input: file.path,
+    relative: file.relative,
+    outDir,
+    format: options.format,
+    chunk,
+    split,
+    nested: Boolean(options.nested),
+    imagePolicy: imagePolicyOf(options),
+    rulesConfig: configPath,
+    profile: options.profile || null,
+    internalLinks: Boolean(options['internal-links']),
+    frontMatter: Boolean(options['front-matter']),
+    toc: Boolean(options.toc || options.summary),
+    summary: Boolean(options.summary),
+    tocDepth: options['toc-depth'],
+    include: chapterTypes(options, 'include'),
+    exclude: chapterTypes(options, 'exclude'),
+    rendition: options.rendition || null,
+    overlays: options.overlays || null,
+    force: Boolean(options.force),
+  }));
+
+  const startedAt = Date.now();
+  const results = await runBatch(tasks, {
+    jobs: options.jobs,
+    onResult: (result, done, total) => {
+      if (quiet) return;
+      const detail = result.status === 'ok' ? `${result.chapters} chapters` : result.error;
+      process.stderr.write(`[${done}/${total}] ${result.status} ${path.relative(process.cwd(), result.input)}: ${detail}\n`);
+    },
+  });
+
+  const failed = results.filter((result) => result.status !== 'ok').length;
+  const reportPath = path.resolve(process.cwd(), options.report || path.join(outDir, 'report.json'));
+  const report = {
+    startedAt: new Date(startedAt).toISOString(),
+    ms: Date.now() - startedAt,
+    total: results.length,
+    converted: results.length - failed,
+    failed,
+    books: results,
+  };
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+  console.log(formatReport(results));
+  if (!quiet) console.log(`Report written to ${reportPath}`);
+  if (failed) process.exitCode = 1;
 }
 
-function findAnchorPosition(html, anchor) {
-  if (!anchor) return 0;
-  const escaped = anchor.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-  const patterns = [
-    new RegExp(`id=["']${escaped}["']`, 'i'),
-    new RegExp(`name=["']${escaped}["']`, 'i'),
-  ];
-  for (const pattern of patterns) {
-    const match = pattern.exec(html);
-    if (match) {
-      const tagStart = html.lastIndexOf('<', match.index);
-      const start = tagStart !== -1 ? tagStart : match.index;
-      // If this anchor sits inside a heading, back up to the heading start so we keep the full tag.
-      const searchStart = Math.max(0, start - 500);
-      const segment = html.slice(searchStart, start);
-      const headingRegex = /<h[1-6][^>]*>/gi;
-      let headingStart = null;
-      let hm;
-      while ((hm = headingRegex.exec(segment)) !== null) {
-        headingStart = hm.index + searchStart;
-      }
-      return headingStart !== null ? headingStart : start;
-    }
+// `--check <book> [report-file]`: exits with 1 when the report has errors.
+async function mainCheck(options, [inputArg, outputArg, ...extra]) {
+  if (!inputArg) {
+    throw new UsageError('--check needs the EPUB to validate.');
   }
-  return null;
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  }
+  if (options.batch) {
+    throw new UsageError('--check validates one book; it can\'t be combined with --batch.');
+  }
+  const report = checkEpub(path.resolve(process.cwd(), inputArg), { rendition: options.rendition });
+  const text = options.format === 'json' ? JSON.stringify(report, null, 2) : formatCheckReport(report);
+  if (outputArg) {
+    const interactive = Boolean(process.stdin.isTTY) && !options.yes;
+    const outputPath = path.resolve(options['out-dir'] ? path.resolve(process.cwd(), options['out-dir']) : process.cwd(), outputArg);
+    await ensureWritable(outputPath, { force: options.force, interactive });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, `${text}\n`);
+    if (!options.quiet) console.log(`Wrote check report to ${outputPath}`);
+  } else {
+    console.log(text);
+  }
+  if (!report.ok) process.exitCode = 1;
 }
 
-function extractTitle(opfText) {
-  const match = opfText.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i);
-  if (!match) return null;
-  return stripTags(match[1]);
+// `--renditions <book>`: the packages a multi-rendition book offers.
+async function mainRenditions(options, [inputArg, ...extra]) {
+  if (!inputArg) {
+    throw new UsageError('--renditions needs the EPUB to look at.');
+  }
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  }
+  const renditions = listRenditions(path.resolve(process.cwd(), inputArg));
+  if (options.format === 'json') {
+    console.log(JSON.stringify(renditions, null, 2));
+    return;
+  }
+  for (const rendition of renditions) {
+    const details = [rendition.language, rendition.layout, rendition.media, rendition.accessMode].filter(Boolean);
+    const label = rendition.label || rendition.title;
+    console.log(`${rendition.index}  ${rendition.path}  ${details.join(', ')}${label ? `  "${label}"` : ''}`);
+  }
 }
 
-function promptSplit(totalChapters) {
-  if (!process.stdin.isTTY) return { mode: 'single', includeImages: false };
-
-  console.log('\n📖 Select output mode:');
-  console.log('1) Single file (default)');
-  console.log(`2) Split into chapters (${totalChapters} parts)`);
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-  return new Promise((resolve) => {
-    rl.question('Choice (1/2): ', (answer) => {
-      const normalized = answer.trim();
-      if (normalized === '2') {
-        rl.question('Include images in output folder? (y/n): ', (imgAnswer) => {
-          rl.close();
-          const includeImages = /^y(es)?$/i.test(imgAnswer.trim());
-          resolve({ mode: 'split', includeImages });
-        });
-      } else {
-        rl.close();
-        resolve({ mode: 'single', includeImages: false });
-      }
-    });
+// `build <folder> [output.epub]`: Markdown chapters back into an EPUB.
+async function mainBuild(options, [folderArg, outputArg, ...extra]) {
+  if (!folderArg) {
+    throw new UsageError('build needs the folder of Markdown chapters to package.');
+  }
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  }
+  const interactive = Boolean(process.stdin.isTTY) && !options.yes;
+  const folder = path.resolve(process.cwd(), folderArg);
+  const outDir = options['out-dir'] ? path.resolve(process.cwd(), options['out-dir']) : process.cwd();
+  const outputPath = path.resolve(outDir, outputArg || `${path.basename(folder)}.epub`);
+  await ensureWritable(outputPath, { force: options.force, interactive });
+
+  const result = buildEpub(folder, {
+    title: options.title,
+    authors: options.author ? options.author.split(';').map((name) => name.trim()).filter(Boolean) : null,
+    language: options.language,
+    identifier: options.identifier,
+    publisher: options.publisher,
   });
+  for (const warning of result.warnings) {
+    console.error(`Warning: ${warning}`);
+  }
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, result.buffer);
+  if (!options.quiet) {
+    console.log(`Wrote ${outputPath} (${result.chapters.length} chapters, ${result.images.length} images)`);
+  }
 }
 
-function promptFolderName(defaultName) {
-  return new Promise((resolve) => {
-    if (!process.stdin.isTTY) return resolve(defaultName);
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-    const prompt = `Folder name for split output [${defaultName}]: `;
-    rl.question(prompt, (answer) => {
-      rl.close();
-      const name = answer.trim();
-      resolve(name || defaultName);
-    });
+// `serve`: the HTTP service in lib/serve.js, until SIGINT or SIGTERM.
+async function mainServe(options, extra) {
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new UsageError('Option --port expects a port number from 0 to 65535.');
+  }
+  if (!Number.isInteger(options.jobs) || options.jobs < 1) {
+    throw new UsageError('Option --jobs expects a whole number of 1 or more.');
+  }
+  if (!(options['max-upload'] > 0)) {
+    throw new UsageError('Option --max-upload expects a number of megabytes above 0.');
+  }
+  const { configPath } = conversionRules(options);
+  const server = createService({
+    jobs: options.jobs,
+    maxUpload: Math.round(options['max-upload'] * 1024 * 1024),
+    rulesConfig: configPath,
+    profile: options.profile || null,
+    onLog: options.quiet ? () => {} : (line) => console.error(line),
   });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  if (!options.quiet) {
+    const { address, port } = server.address();
+    console.log(`Listening on http://${address.includes(':') ? `[${address}]` : address}:${port} (POST /convert, /metadata, /validate)`);
+  }
+  const stop = () => server.close();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  await new Promise((resolve) => server.on('close', resolve));
 }
 
-function main() {
-  ensureUnzipAvailable();
-
-  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epub2markup-'));
-  try {
-    unzipEpub(inputPath, tempDir);
-  } catch (err) {
-    console.error(`Failed to unzip EPUB: ${err.message}`);
-    process.exit(1);
+async function main(argv) {
+  const { options, positionals } = parseArgs(argv, CLI_OPTIONS);
+  if (options.help) {
+    console.log(HELP);
+    return;
   }
-
-  const containerPath = path.join(tempDir, 'META-INF', 'container.xml');
-  if (!fs.existsSync(containerPath)) {
-    console.error('Invalid EPUB: missing META-INF/container.xml');
-    process.exit(1);
+  if (!Number.isInteger(options['toc-depth']) || options['toc-depth'] < 1) {
+    throw new UsageError('Option --toc-depth expects a whole number of 1 or more.');
   }
-
-  const containerXml = readText(containerPath, 'META-INF/container.xml');
-  const rootfileRelative = extractRootfile(containerXml);
-  if (!rootfileRelative) {
-    console.error('Could not determine OPF package path from container.xml');
-    process.exit(1);
+  if (positionals[0] === 'build') {
+    await mainBuild(options, positionals.slice(1));
+    return;
   }
-
-  const opfPath = path.join(tempDir, rootfileRelative);
-  const opfDir = path.dirname(opfPath);
-  const opfText = readText(opfPath, `${rootfileRelative}`);
-  const bookTitle = extractTitle(opfText);
-
-  const manifest = parseManifest(opfText);
-  const spine = parseSpine(opfText);
-
-  if (!spine.length) {
-    console.error('OPF spine is empty or missing; nothing to convert.');
-    process.exit(1);
+  if (positionals[0] === 'serve') {
+    await mainServe(options, positionals.slice(1));
+    return;
   }
-
-  const htmlItems = [];
-  for (const idref of spine) {
-    const item = manifest[idref];
-    if (!item) {
-      console.error(`Warning: spine item "${idref}" not found in manifest; skipping.`);
-      continue;
-    }
-    const isHtml = item.mediaType && item.mediaType.toLowerCase().includes('html');
-    if (!isHtml) continue;
-    htmlItems.push({ idref, href: item.href, path: path.normalize(path.join(opfDir, item.href)), properties: item.properties || '' });
-  }
-
-  if (!htmlItems.length) {
-    console.error('No HTML content found in the spine; nothing to convert.');
-    process.exit(1);
-  }
-
-  let navEntries = [];
-  const navItem = findNavItem(manifest);
-  if (navItem) {
-    const navPath = path.join(opfDir, navItem.href);
-    if (fs.existsSync(navPath)) {
-      const navHtml = readText(navPath, navItem.href);
-      navEntries = parseNavHtml(navHtml).map((entry) => {
-        const resolved = resolveHref(path.dirname(navPath), entry.href);
-        return { ...entry, filePath: resolved.filePath, fragment: resolved.fragment };
-      }).filter((entry) => entry.depth === 1);
-    }
+  if (options.check) {
+    await mainCheck(options, positionals);
+    return;
   }
-
-  // Map nav entries to spine order; fall back to spine items if nav is missing.
-  const chapters = [];
-  if (navEntries.length) {
-    const spineOrder = new Map(htmlItems.map((item, idx) => [path.normalize(item.path), idx]));
-    const groupedByFile = navEntries.reduce((acc, entry) => {
-      const fileKey = path.normalize(entry.filePath);
-      const spineIdx = spineOrder.has(fileKey) ? spineOrder.get(fileKey) : Number.MAX_SAFE_INTEGER;
-      acc.push({ ...entry, spineIdx });
-      return acc;
-    }, []);
-    groupedByFile.sort((a, b) => a.spineIdx - b.spineIdx);
-    const grouped = groupedByFile.reduce((map, entry) => {
-      const key = path.normalize(entry.filePath);
-      if (!map[key]) map[key] = [];
-      map[key].push(entry);
-      return map;
-    }, {});
-
-    for (const [filePath, entries] of Object.entries(grouped)) {
-      if (!fs.existsSync(filePath)) continue;
-      const html = readText(filePath, path.relative(opfDir, filePath));
-      const positions = entries.map((entry, idx) => {
-        const pos = findAnchorPosition(html, entry.fragment);
-        return { ...entry, pos: pos === null ? null : pos, idx };
-      });
-
-      for (let i = 0; i < positions.length; i += 1) {
-        const current = positions[i];
-        const next = positions.slice(i + 1).find((p) => p.pos !== null);
-        const start = current.pos !== null ? current.pos : (i === 0 ? 0 : positions[i - 1].pos || 0);
-        const end = next && next.pos !== null ? next.pos : html.length;
-        const slice = html.slice(start, end);
-        chapters.push({
-          label: current.label,
-          content: slice,
-          order: ((current.spineIdx ?? 0) * 10000) + current.idx,
-          filePath,
-        });
-      }
-    }
-  } else {
-    for (const item of htmlItems) {
-      if (!fs.existsSync(item.path)) continue;
-      const html = readText(item.path, item.href);
-      chapters.push({
-        label: path.basename(item.href),
-        content: html,
-        order: spine.indexOf(item.idref),
-        filePath: item.path,
-      });
-    }
+  if (options.renditions) {
+    await mainRenditions(options, positionals);
+    return;
   }
-
-  if (!chapters.length) {
-    console.error('No chapters could be derived from TOC or spine.');
-    process.exit(1);
+  if (options.batch) {
+    await mainBatch(options, positionals);
+    return;
+  }
+  const chunk = chunkSettings(options);
+  checkSummary(options);
+  let imagePolicy = imagePolicyOf(options);
+  const { rules } = conversionRules(options);
+  const [inputArg, outputArg, ...extra] = positionals;
+  if (!inputArg) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
   }
 
-  chapters.sort((a, b) => a.order - b.order);
-
-  const total = chapters.length;
-  let processed = 0;
-  const sections = [];
-  let outputMode = 'single';
-  let includeImages = false;
+  const interactive = Boolean(process.stdin.isTTY) && !options.yes;
+  const quiet = Boolean(options.quiet);
+  const log = quiet ? () => {} : (message) => console.log(message);
+  const inputPath = path.resolve(process.cwd(), inputArg);
+  const outDir = options['out-dir'] ? path.resolve(process.cwd(), options['out-dir']) : null;
+
+  const book = openEpub(inputPath, {
+    tocDepth: options['toc-depth'],
+    include: chapterTypes(options, 'include'),
+    exclude: chapterTypes(options, 'exclude'),
+    rendition: options.rendition,
+  });
+  for (const warning of book.warnings) {
+    console.error(`Warning: ${warning}`);
+  }
 
-  const reportProgress = () => {
+  const total = book.chapters.length;
+  const reportProgress = (processed) => {
+    if (quiet) {
+      memorySnapshot();
+      return;
+    }
     const percent = Math.floor((processed / total) * 100);
     const barWidth = 20;
     const filled = Math.round((percent / 100) * barWidth);
@@ -496,106 +530,149 @@ function main() {
     process.stderr.write(`\r${bar} ${processed}/${total} ${percent}% | ${memorySnapshot()}`);
   };
 
-  (async () => {
-    const choice = await promptSplit(total);
-    outputMode = choice.mode;
-    includeImages = choice.includeImages;
+  let outputMode = 'single';
+  if (chunk) {
+    outputMode = 'chunks';
+  } else if (options.split || options.nested || options.images || options.summary) {
+    outputMode = 'split';
+  } else if (interactive) {
+    outputMode = await promptSplit(total);
+  }
+  if (outputMode === 'split' && !imagePolicy && !options.split && !options.nested && interactive) {
+    if (await promptImages()) imagePolicy = 'extract';
+  }
+  if (outputMode === 'single' && imagePolicy === 'extract' && !outputArg && !outDir) {
+    throw new UsageError('Option --image-policy extract needs an output file or --out-dir to put the images next to.');
+  }
+  if (outputMode !== 'split' && options.overlays && !outputArg && !outDir) {
+    throw new UsageError('Option --overlays needs an output file or --out-dir to put the timing files next to.');
+  }
 
-    let chapterDir = null;
-    let imagesDir = null;
-    const copyQueue = new Map(); // dest -> src
-    if (outputMode === 'split') {
+  const inputBaseName = path.basename(inputPath, path.extname(inputPath));
+  let outputPath = null;
+  let chapterDir = null;
+  if (outputMode === 'split') {
+    if (outDir) {
+      chapterDir = outDir;
+    } else {
       let baseName = null;
-      if (outputPath) {
-        baseName = path.basename(outputPath, path.extname(outputPath));
-      } else if (safeBaseNameFromTitle(bookTitle)) {
-        baseName = safeBaseNameFromTitle(bookTitle);
-      } else if (process.stdin.isTTY) {
-        const suggested = path.basename(inputPath, path.extname(inputPath));
-        baseName = await promptFolderName(suggested);
+      if (outputArg) {
+        baseName = path.basename(outputArg, path.extname(outputArg));
+      } else if (safeBaseNameFromTitle(book.metadata.title)) {
+        baseName = safeBaseNameFromTitle(book.metadata.title);
+      } else if (interactive) {
+        baseName = await promptFolderName(inputBaseName);
       } else {
-        baseName = path.basename(inputPath, path.extname(inputPath));
+        baseName = inputBaseName;
       }
       chapterDir = path.resolve(process.cwd(), baseName);
-      if (!fs.existsSync(chapterDir)) {
-        fs.mkdirSync(chapterDir, { recursive: true });
-      }
-      if (includeImages) {
-        imagesDir = path.join(chapterDir, 'images');
-      }
     }
+    await ensureWritable(chapterDir, { force: options.force, interactive });
+  } else if (outputArg || outDir) {
+    const extension = chunk ? '.jsonl' : getFormat(options.format).extension;
+    const fileName = outputArg || `${safeBaseNameFromTitle(book.metadata.title) || inputBaseName}${extension}`;
+    outputPath = path.resolve(outDir || process.cwd(), fileName);
+    await ensureWritable(outputPath, { force: options.force, interactive });
+  }
+  // Split output keeps images in its own images/ folder, a single file in a
+  // sibling `<name>_images/` folder.
+  let imageDir = null;
+  if (imagePolicy === 'extract' && chapterDir) {
+    imageDir = 'images';
+  } else if (imagePolicy === 'extract' && outputPath) {
+    imageDir = `${path.basename(outputPath, path.extname(outputPath))}_images`;
+    await ensureWritable(path.join(path.dirname(outputPath), imageDir), { force: options.force, interactive });
+  }
+  // Media overlay timings go in the split folder, or next to a single file as
+  // `<name>.overlays.json` / `<name>.<audio>.vtt`.
+  let overlays = [];
+  if (options.overlays) {
+    const { clips, warnings } = readOverlays(book);
+    warnings.forEach((warning) => console.error(`Warning: ${warning}`));
+    if (!clips.length) console.error('Warning: the book has no media overlays; no timing file written.');
+    const prefix = chapterDir ? '' : `${path.basename(outputPath, path.extname(outputPath))}.`;
+    overlays = clips.length ? overlayFiles(clips, options.overlays, prefix) : [];
+    for (const file of overlays) {
+      file.path = path.join(chapterDir || path.dirname(outputPath), file.name);
+      await ensureWritable(file.path, { force: options.force, interactive });
+    }
+  }
 
-    const rewriteImageSrc =
-      includeImages && chapterDir
-        ? (src, ctx) => {
-            const baseDir = ctx.baseDir || opfDir;
-            const absSrc = path.normalize(path.join(baseDir, src));
-            if (!absSrc.startsWith(tempDir)) return src;
-            const relativeFromTemp = path.relative(tempDir, absSrc);
-            if (relativeFromTemp.startsWith('..')) return src;
-            const targetRel = path.join('images', relativeFromTemp);
-            const targetAbs = path.join(chapterDir, targetRel);
-            if (!copyQueue.has(targetAbs)) {
-              copyQueue.set(targetAbs, absSrc);
-            }
-            return targetRel.split(path.sep).join('/');
-          }
-        : null;
-
-    for (const chapter of chapters) {
-      const markup = convertHtmlToMarkup(chapter.content, {
-        rewriteImageSrc,
-        baseDir: path.dirname(chapter.filePath),
-      });
-      if (markup) {
-        if (outputMode === 'split') {
-          const index = processed + 1;
-          const filenameBase = slugifyTitle(chapter.label, index);
-          const filename = `${filenameBase}.md`;
-          const target = path.join(chapterDir, filename);
-          const title = chapter.label || `Chapter ${index}`;
-          const withTitle = `# ${title}\n\n${markup}`;
-          fs.writeFileSync(target, withTitle + '\n', 'utf8');
-        } else {
-          const title = chapter.label ? `# ${chapter.label}\n\n` : '';
-          sections.push(`${title}${markup}`);
-        }
-      }
+  const conversion = {
+    format: options.format,
+    imagePolicy,
+    imageDir,
+    rules,
+    split: outputMode === 'split',
+    nested: Boolean(options.nested),
+    internalLinks: Boolean(options['internal-links']),
+    frontMatter: Boolean(options['front-matter']),
+    toc: Boolean(options.toc || options.summary),
+    summary: Boolean(options.summary),
+    onProgress: reportProgress,
+  };
 
-      processed += 1;
-      reportProgress();
-    }
+  // Chapters are rendered as the writer asks for them, so the progress bar
+  // runs while output is being written.
+  let summary;
+  if (outputMode === 'chunks') {
+    const written = await writeJsonLines(chunkBook(book, { ...conversion, ...chunk }), outputPath || process.stdout);
+    if (outputPath) summary = `Wrote ${written} chunks to ${outputPath}`;
+  } else if (outputMode === 'split') {
+    const result = streamBook(book, conversion);
+    const written = writeSplit(result, chapterDir, { onWarning: (message) => console.error(`\nWarning: ${message}`) })
+      + (result.contents ? 1 : 0);
+    summary = `Wrote ${written} files to ${chapterDir}`;
+  } else {
+    await writeSingle(streamBook(book, conversion), outputPath || process.stdout, {
+      onWarning: (message) => console.error(`\nWarning: ${message}`),
+    });
+    if (outputPath) summary = `Wrote markup to ${outputPath}`;
+  }
+  for (const file of overlays) {
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, `${file.text}\n`, 'utf8');
+  }
+  if (overlays.length && summary) summary += ` and ${overlays.length} timing file${overlays.length === 1 ? '' : 's'}`;
+  if (!quiet) {
     process.stderr.write('\n');
+    // stdout may hold the converted text, so this line goes to stderr there.
+    const peak = `Peak memory: ${memorySnapshot({ peak: true })}`;
+    if (summary) log(`${summary} (${peak})`);
+    else console.error(peak);
+  }
+}
 
-    if (outputMode === 'split') {
-      if (includeImages && copyQueue.size) {
-        for (const [dest, src] of copyQueue.entries()) {
-          fs.mkdirSync(path.dirname(dest), { recursive: true });
-          try {
-            fs.copyFileSync(src, dest);
-          } catch (err) {
-            console.error(`Warning: failed to copy image ${src}: ${err.message}`);
-          }
-        }
-        if (!fs.existsSync(imagesDir)) {
-          // Ensure the root images directory exists if nothing was copied deeper.
-          fs.mkdirSync(imagesDir, { recursive: true });
-        }
-      }
-      console.log(`Wrote ${processed} files to ${chapterDir}`);
+module.exports = {
+  openEpub,
+  streamBook,
+  convertBook,
+  convertEpub,
+  chunkBook,
+  buildEpub,
+  checkEpub,
+  listRenditions,
+  readOverlays,
+  EpubError,
+  ErrorCodes,
+};
+
+if (require.main === module) {
+  // A reader that stops early (`| head`) closes the pipe; that ends the
+  // output, it isn't a failure.
+  process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+  });
+  main(process.argv.slice(2)).finally(closePrompts).catch((err) => {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      console.error('Run with --help for all options.');
+    } else if (err instanceof EpubError) {
+      console.error(err.message);
     } else {
-      const result = sections.join('\n\n');
-      if (outputPath) {
-        fs.writeFileSync(outputPath, result + '\n', 'utf8');
-        console.log(`Wrote markup to ${outputPath}`);
-      } else {
-        process.stdout.write(result);
-      }
+      console.error(`Unexpected error: ${err.message}`);
     }
-  })().catch((err) => {
-    console.error(`Unexpected error: ${err.message}`);
-    process.exit(1);
+    process.exitCode = 1;
   });
 }
-
-main();
@@ -0,0 +1,125 @@
+/**
+ * Small dependency-free command-line parser.
+ *
+ * Options are described by a spec list so the same table drives parsing,
+ * validation and the `--help` text. Supports `--name value`, `--name=value`,
+ * single-letter aliases (`-q`, bundled as `-qf`) and `--` to end option parsing.
+ */
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function convertValue(spec, raw) {
+  if (spec.type === 'number') {
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value)) {
+      throw new UsageError(`Option --${spec.name} expects a number, got "${raw}".`);
+    }
+    return value;
+  }
+  if (spec.choices && !spec.choices.includes(raw)) {
+    throw new UsageError(`Option --${spec.name} must be one of: ${spec.choices.join(', ')}.`);
+  }
+  return raw;
+}
+
+function parseArgs(argv, specs) {
+  const byName = new Map(specs.map((spec) => [spec.name, spec]));
+  const byAlias = new Map(specs.filter((spec) => spec.alias).map((spec) => [spec.alias, spec]));
+  const options = {};
+  const positionals = [];
+
+  for (const spec of specs) {
+    if (spec.default !== undefined) options[spec.name] = spec.default;
+  }
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+    // Bundled short flags: -qf is -q -f.
+    if (!arg.startsWith('--') && arg.length > 2) {
+      const letters = arg.slice(1).split('');
+      for (const letter of letters) {
+        const spec = byAlias.get(letter);
+        if (!spec || spec.type !== 'boolean') {
+          throw new UsageError(`Unknown option: -${letter} (in ${arg})`);
+        }
+        options[spec.name] = true;
+      }
+      continue;
+    }
+
+    let spec;
+    let inlineValue = null;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) inlineValue = arg.slice(eq + 1);
+      spec = byName.get(name);
+    } else if (arg.length === 2) {
+      spec = byAlias.get(arg.slice(1));
+    }
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    if (spec.type === 'boolean') {
+      if (inlineValue !== null) {
+        throw new UsageError(`Option --${spec.name} does not take a value.`);
+      }
+      options[spec.name] = true;
+      continue;
+    }
+
+    let raw = inlineValue;
+    if (raw === null) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Option --${spec.name} requires a value.`);
+      }
+      i += 1;
+      raw = argv[i];
+    }
+    const value = convertValue(spec, raw);
+    if (spec.multiple) {
+      options[spec.name] = (options[spec.name] || []).concat(value);
+    } else {
+      options[spec.name] = value;
+    }
+  }
+
+  return { options, positionals };
+}
+
+function formatHelp({ usage, description, specs, footer }) {
+  const rows = specs.map((spec) => {
+    const flag = `${spec.alias ? `-${spec.alias}, ` : '    '}--${spec.name}${spec.type === 'boolean' ? '' : ` <${spec.valueName || 'value'}>`}`;
+    const extra = spec.default !== undefined && spec.type !== 'boolean' ? ` (default: ${spec.default})` : '';
+    return [flag, `${spec.description}${extra}`];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  const lines = [`Usage: ${usage}`, ''];
+  if (description) lines.push(description, '');
+  lines.push('Options:');
+  for (const [flag, text] of rows) {
+    lines.push(`  ${flag.padEnd(width)}${text}`);
+  }
+  if (footer) lines.push('', footer);
+  return lines.join('\n');
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  formatHelp,
+};
@@ -0,0 +1,161 @@
+/**
+ * Worker thread for batch mode (lib/batch.js). Receives one task per message,
+ * converts and writes that book, and answers with its report entry. Nothing
+ * here prompts: existing output is only replaced with `force`. Tasks with a
+ * `kind` of 'metadata' or 'validate' only read the book, for serve's
+ * /metadata and /validate.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parentPort } = require('node:worker_threads');
+const { openEpub, streamBook } = require('./convert');
+const { EpubError } = require('./errors');
+const { isOccupied, writeSingle, writeJsonLines, writeSplit } = require('./output');
+const { getFormat } = require('./formats');
+const { chunkBook } = require('./chunk');
+const { loadRules } = require('./rules');
+const { readOverlays, overlayFiles } = require('./overlays');
+const { checkEpub } = require('./check');
+
+// task: { input, relative, outDir, format, chunk, split, nested, imagePolicy,
+// rulesConfig, profile, internalLinks, frontMatter, toc, summary, tocDepth,
+// include, exclude, rendition, overlays, force }; `chunk` is null or
+// { size, unit, overlap }, `overlays` null, 'json' or 'vtt'. Rules
+// can hold functions, which can't be posted to a worker, so each worker loads
+// them from `rulesConfig`.
+async function convertTask(task) {
+  const startedAt = Date.now();
+  const report = {
+    input: task.input,
+    output: null,
+    status: 'ok',
+    chapters: 0,
+    files: 0,
+    ms: 0,
+    warnings: [],
+    error: null,
+    code: null,
+  };
+  try {
+    // Books keep their place below the batch root, minus the .epub extension.
+    const relativeBase = task.relative.replace(/\.epub$/i, '');
+    let extension = task.split ? '' : getFormat(task.format).extension;
+    if (task.chunk) extension = '.jsonl';
+    const target = path.join(task.outDir, ...relativeBase.split('/')) + extension;
+    report.output = target;
+    if (!task.force && isOccupied(target)) {
+      throw new Error(`${target} already exists; use --force to overwrite.`);
+    }
+
+    const book = openEpub(task.input, {
+      tocDepth: task.tocDepth,
+      include: task.include,
+      exclude: task.exclude,
+      rendition: task.rendition,
+    });
+    report.warnings.push(...book.warnings);
+    // Timing files sit in the split folder, or next to the file as `<name>.*`.
+    let overlays = [];
+    if (task.overlays) {
+      const { clips, warnings } = readOverlays(book);
+      report.warnings.push(...warnings);
+      const prefix = task.split ? '' : `${path.basename(target, extension)}.`;
+      overlays = (clips.length ? overlayFiles(clips, task.overlays, prefix) : [])
+        .map((file) => ({ ...file, path: path.join(task.split ? target : path.dirname(target), file.name) }));
+      const taken = overlays.find((file) => !task.force && isOccupied(file.path));
+      if (taken) throw new Error(`${taken.path} already exists; use --force to overwrite.`);
+    }
+    // Extracted images go to images/ in a split folder, next to a single file
+    // as <name>_images/.
+    let imageDir = null;
+    if (task.imagePolicy === 'extract') {
+      imageDir = task.split ? 'images' : `${path.basename(target, extension)}_images`;
+    }
+    const conversion = {
+      format: task.format,
+      imagePolicy: task.imagePolicy,
+      imageDir,
+      rules: task.rulesConfig ? loadRules({ configPath: task.rulesConfig, profile: task.profile }) : [],
+      split: task.split,
+      nested: task.nested,
+      internalLinks: task.internalLinks,
+      frontMatter: task.frontMatter,
+      toc: task.toc,
+      summary: task.summary,
+    };
+    if (task.chunk) {
+      conversion.onProgress = (processed) => { report.chapters = processed; };
+      report.chunks = await writeJsonLines(chunkBook(book, { ...conversion, ...task.chunk }), target);
+      report.files = 1;
+    } else if (task.split) {
+      const result = streamBook(book, conversion);
+      report.chapters = writeSplit(result, target, { onWarning: (message) => report.warnings.push(message) });
+      report.files = report.chapters + (result.contents ? 1 : 0);
+    } else {
+      report.chapters = await writeSingle(streamBook(book, conversion), target, {
+        onWarning: (message) => report.warnings.push(message),
+      });
+      report.files = 1;
+    }
+    for (const file of overlays) {
+      fs.writeFileSync(file.path, `${file.text}\n`, 'utf8');
+      report.files += 1;
+    }
+  } catch (err) {
+    report.status = 'failed';
+    report.error = err.message;
+    report.code = err instanceof EpubError ? err.code : null;
+  }
+  report.ms = Date.now() - startedAt;
+  return report;
+}
+
+// task: { kind: 'metadata' | 'validate', input, rendition }. The report
+// carries the endpoint's answer as `body`: the book's details and chapter
+// list, or the --check report.
+function inspectTask(task) {
+  const startedAt = Date.now();
+  const report = {
+    input: task.input,
+    status: 'ok',
+    chapters: 0,
+    files: 0,
+    ms: 0,
+    warnings: [],
+    error: null,
+    code: null,
+    body: null,
+  };
+  try {
+    if (task.kind === 'validate') {
+      report.body = checkEpub(task.input, { rendition: task.rendition });
+    } else {
+      const book = openEpub(task.input, { rendition: task.rendition });
+      report.chapters = book.chapters.length;
+      report.warnings = book.warnings;
+      report.body = {
+        metadata: book.metadata,
+        renditions: book.renditions,
+        chapters: book.chapters.map((chapter, idx) => ({
+          index: idx + 1,
+          title: chapter.label,
+          depth: chapter.depth,
+          type: chapter.type,
+          matter: chapter.matter,
+        })),
+        warnings: book.warnings,
+      };
+    }
+  } catch (err) {
+    report.status = 'failed';
+    report.error = err.message;
+    report.code = err instanceof EpubError ? err.code : null;
+  }
+  report.ms = Date.now() - startedAt;
+  return report;
+}
+
+parentPort.on('message', async (task) => {
+  parentPort.postMessage(task.kind ? inspectTask(task) : await convertTask(task));
+});
@@ -0,0 +1,199 @@
+/**
+ * Batch conversion: expand directories and glob patterns into a list of
+ * EPUBs, convert them on a pool of worker threads (lib/batch-worker.js) and
+ * summarize the outcome per book.
+ *
+ * A failing book never stops the batch; its error ends up in the report. A
+ * worker that dies outright is replaced and the book it was on is marked
+ * failed.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Worker } = require('node:worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'batch-worker.js');
+
+// Minimal glob support: `*` and `?` within a path segment, `**` across
+// segments. Patterns are matched against forward-slash relative paths.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no folder at all.
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walkFiles(dir, visit, prefix = '') {
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      walkFiles(path.join(dir, entry.name), visit, relative);
+    } else if (entry.isFile()) {
+      visit(path.join(dir, entry.name), relative);
+    }
+  }
+}
+
+// Each input is a file, a directory (searched recursively for .epub files)
+// or a glob. Returns [{ path, relative }] where `relative` is the book's path
+// below the directory or glob base, used to lay out the output. Books that
+// would land on the same output (`a/book.epub` and `b/book.epub` given as
+// files) are numbered: `book.epub`, `book-2.epub`.
+function findEpubs(inputs, cwd = process.cwd()) {
+  const found = new Map();
+  const add = (filePath, relative) => {
+    if (!found.has(filePath)) found.set(filePath, { path: filePath, relative });
+  };
+  for (const input of inputs) {
+    const normalized = input.split(path.sep).join('/');
+    if (/[*?]/.test(normalized)) {
+      const segments = normalized.split('/');
+      const firstWild = segments.findIndex((segment) => /[*?]/.test(segment));
+      const base = path.resolve(cwd, segments.slice(0, firstWild).join('/') || '.');
+      const matcher = globToRegExp(segments.slice(firstWild).join('/'));
+      if (!fs.existsSync(base)) continue;
+      walkFiles(base, (filePath, relative) => {
+        if (matcher.test(relative)) add(filePath, relative);
+      });
+      continue;
+    }
+    const resolved = path.resolve(cwd, input);
+    if (!fs.existsSync(resolved)) continue;
+    if (fs.statSync(resolved).isDirectory()) {
+      walkFiles(resolved, (filePath, relative) => {
+        if (/\.epub$/i.test(filePath)) add(filePath, relative);
+      });
+    } else {
+      add(resolved, path.basename(resolved));
+    }
+  }
+  const taken = new Set();
+  return Array.from(found.values(), (book) => {
+    const stem = book.relative.replace(/\.epub$/i, '');
+    const extension = book.relative.slice(stem.length);
+    let relative = book.relative;
+    for (let n = 2; taken.has(relative.toLowerCase()); n += 1) relative = `${stem}-${n}${extension}`;
+    taken.add(relative.toLowerCase());
+    return { ...book, relative };
+  });
+}
+
+function defaultJobs() {
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(cpus, 4));
+}
+
+// tasks: [{ input, relative, ... }] passed to the worker as-is.
+// Resolves with one result per task, in task order.
+function runBatch(tasks, { jobs = defaultJobs(), onResult } = {}) {
+  return new Promise((resolve) => {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let finished = 0;
+    if (!tasks.length) {
+      resolve(results);
+      return;
+    }
+
+    const record = (index, result) => {
+      results[index] = result;
+      finished += 1;
+      if (onResult) onResult(result, finished, tasks.length);
+      if (finished === tasks.length) resolve(results);
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(WORKER_PATH);
+      let current = null;
+      let startedAt = 0;
+      const feed = () => {
+        if (next >= tasks.length) {
+          current = null;
+          worker.terminate();
+          return;
+        }
+        current = next;
+        next += 1;
+        startedAt = Date.now();
+        worker.postMessage(tasks[current]);
+      };
+      worker.on('message', (result) => {
+        const index = current;
+        feed();
+        record(index, result);
+      });
+      // The book a worker was on when it died fails; a new worker goes on.
+      const fail = (error) => {
+        if (current === null) return;
+        const index = current;
+        current = null;
+        record(index, {
+          input: tasks[index].input,
+          status: 'failed',
+          chapters: 0,
+          files: 0,
+          ms: Date.now() - startedAt,
+          warnings: [],
+          error,
+          code: null,
+        });
+        if (next < tasks.length) startWorker();
+      };
+      worker.on('error', (err) => fail(`Worker crashed: ${err.message}`));
+      // process.exit() in a worker (a rules hook, say) ends it without an error.
+      worker.on('exit', (code) => fail(`Worker exited with code ${code}`));
+      feed();
+    };
+
+    for (let i = 0; i < Math.min(jobs, tasks.length); i += 1) startWorker();
+  });
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function formatReport(results, cwd = process.cwd()) {
+  const rows = results.map((result) => [
+    result.status,
+    String(result.chapters),
+    formatDuration(result.ms),
+    String(result.warnings.length),
+    path.relative(cwd, result.input) + (result.error ? ` (${result.error})` : ''),
+  ]);
+  const header = ['Status', 'Chapters', 'Time', 'Warnings', 'Book'];
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map((row) => row[col].length)));
+  const line = (cells) => cells
+    .map((cell, col) => (col === cells.length - 1 ? cell : cell.padEnd(widths[col])))
+    .join('  ');
+  const failed = results.filter((result) => result.status !== 'ok').length;
+  return [
+    line(header),
+    line(widths.map((width, col) => '-'.repeat(col === widths.length - 1 ? header[col].length : width))),
+    ...rows.map(line),
+    '',
+    `${results.length - failed} converted, ${failed} failed`,
+  ].join('\n');
+}
+
+module.exports = {
+  walkFiles,
+  findEpubs,
+  runBatch,
+  formatReport,
+  defaultJobs,
+};
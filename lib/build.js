@@ -0,0 +1,400 @@
+/**
+ * The inverse direction: packages a folder of Markdown chapters (the layout
+ * split and nested modes write: `NN Title.md` files, numbered folders with an
+ * `index.md`, and `images/`) into an EPUB 3.
+ *
+ * Chapters are read with lib/markdown-reader.js and rendered to XHTML by the
+ * HTML format, so heading ids are the same slugs the Markdown links use. The
+ * folder layout is kept inside the EPUB, images included, with every file and
+ * folder name turned into a slug; links between chapter files and image
+ * sources are rewritten to match. The TOC (nav.xhtml)
+ * follows the folder nesting. Book metadata comes from the chapters' front
+ * matter (as written by --front-matter) and can be overridden by options.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { EpubError, ErrorCodes } = require('./errors');
+const { createZipWriter } = require('./zip-writer');
+const { markdownToBlocks } = require('./markdown-reader');
+const { parseFrontMatter } = require('./metadata');
+const { headingText } = require('./ir');
+const { createSlugger } = require('./links');
+const html = require('./formats/html');
+
+const CONTENT_DIR = 'OEBPS';
+// Files next to the chapters that aren't chapters themselves.
+const SKIPPED_FILES = new Set(['index.md', 'summary.md', 'readme.md']);
+
+const MEDIA_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function encodeLinkPath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Names inside the package are lowercase ASCII slugs, since epubcheck warns
+// about spaces and characters such as `&` in them (PKG-010):
+// `02 Part & One/03 Ch.md` -> `02-part-one/03-ch.xhtml`.
+function slugSegment(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+// Maps folder-relative source paths to their package paths, numbering names
+// that slug alike in the same folder.
+function createPackagePaths() {
+  const paths = new Map();
+  const taken = new Set(['nav.xhtml', 'content.opf']);
+  const claim = (dir, base, suffix) => {
+    let name = `${dir}${base}${suffix}`;
+    for (let count = 1; taken.has(name); count += 1) name = `${dir}${base}-${count}${suffix}`;
+    taken.add(name);
+    return name;
+  };
+  const folderPath = (dir) => {
+    if (!dir) return '';
+    if (!paths.has(dir)) {
+      const parent = dir.slice(0, dir.lastIndexOf('/', dir.length - 2) + 1);
+      paths.set(dir, claim(folderPath(parent), slugSegment(dir.slice(parent.length, -1)), '/'));
+    }
+    return paths.get(dir);
+  };
+  return (relative) => {
+    if (!paths.has(relative)) {
+      const dir = relative.slice(0, relative.lastIndexOf('/') + 1);
+      const name = relative.slice(dir.length);
+      const extension = path.posix.extname(name).toLowerCase();
+      const suffix = extension === '.md' ? '.xhtml' : extension;
+      paths.set(relative, claim(folderPath(dir), slugSegment(name.slice(0, name.length - extension.length)), suffix));
+    }
+    return paths.get(relative);
+  };
+}
+
+// Relative href from one package file to another, percent-encoded.
+function hrefBetween(from, to) {
+  return encodeLinkPath(path.posix.relative(path.posix.dirname(from), to));
+}
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Chapter files in reading order: `NN Title.md` files and numbered folders
+// sorted by name, a folder's own index.md before its children.
+function findChapterFiles(folder, relative = '') {
+  const dir = path.join(folder, ...relative.split('/').filter(Boolean));
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => byName(a.name, b.name));
+  const files = [];
+  if (relative && entries.some((entry) => entry.isFile() && entry.name === 'index.md')) {
+    files.push(`${relative}index.md`);
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && entry.name !== 'images' && !entry.name.startsWith('.')) {
+      files.push(...findChapterFiles(folder, `${relative}${entry.name}/`));
+    } else if (entry.isFile() && /\.md$/i.test(entry.name) && !SKIPPED_FILES.has(entry.name.toLowerCase())) {
+      files.push(`${relative}${entry.name}`);
+    }
+  }
+  return files;
+}
+
+// `02 Part One/index.md` -> `Part One`, `01 Copyright.md` -> `Copyright`.
+function titleFromFileName(relative) {
+  const parts = relative.split('/');
+  const name = parts[parts.length - 1] === 'index.md' && parts.length > 1 ? parts[parts.length - 2] : parts[parts.length - 1];
+  return name.replace(/\.md$/i, '').replace(/^\d+[\s._-]*/, '') || name;
+}
+
+function visitInline(blocks, visit) {
+  const walkInline = (nodes) => {
+    for (const node of nodes) {
+      visit(node);
+      if (node.children) walkInline(node.children);
+    }
+  };
+  for (const block of blocks) {
+    if (block.content) walkInline(block.content);
+    if (block.caption) walkInline(block.caption);
+    if (block.blocks) visitInline(block.blocks, visit);
+    if (block.items) block.items.forEach((item) => visitInline(item.blocks, visit));
+    if (block.rows) block.rows.forEach((row) => row.cells.forEach((cell) => visitInline(cell.blocks, visit)));
+    if (block.groups) {
+      for (const group of block.groups) {
+        group.terms.forEach(walkInline);
+        group.definitions.forEach((definition) => visitInline(definition, visit));
+      }
+    }
+  }
+}
+
+function isRelativeHref(href) {
+  return Boolean(href) && !/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('/') && !href.startsWith('#');
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Void elements need their XML form.
+function toXhtml(markup) {
+  return markup.replace(/<(br|hr|img)\b([^>]*?)\s*\/?>/g, '<$1$2/>');
+}
+
+function renderNotes(notes) {
+  if (!notes.length) return '';
+  const asides = notes.map(({ label, blocks }) => [
+    `<aside id="fn-${escapeXml(label)}" epub:type="footnote" role="doc-footnote">`,
+    html.renderBlocks(blocks),
+    '</aside>',
+  ].join('\n'));
+  return ['<section epub:type="footnotes">', ...asides, '</section>'].join('\n');
+}
+
+function chapterDocument(chapter, language) {
+  const body = [html.renderBlocks(chapter.blocks, { slug: createSlugger() }), renderNotes(chapter.notes)]
+    .filter(Boolean)
+    .join('\n')
+    .replace(/ role="doc-noteref"/g, ' epub:type="noteref" role="doc-noteref"');
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">`,
+    '<head>',
+    `<title>${escapeXml(chapter.title)}</title>`,
+    '</head>',
+    '<body>',
+    '<section>',
+    toXhtml(body),
+    '</section>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// Nested <ol> following the chapters' depths.
+function navList(chapters) {
+  const root = { children: [] };
+  const stack = [{ depth: 0, node: root }];
+  for (const chapter of chapters) {
+    while (stack.length > 1 && stack[stack.length - 1].depth >= chapter.depth) stack.pop();
+    const node = { chapter, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ depth: chapter.depth, node });
+  }
+  const render = (nodes) => ['<ol>', ...nodes.map(({ chapter, children }) => {
+    const link = `<a href="${escapeXml(encodeLinkPath(chapter.href))}">${escapeXml(chapter.title)}</a>`;
+    return `<li>${link}${children.length ? `\n${render(children)}\n` : ''}</li>`;
+  }), '</ol>'].join('\n');
+  return render(root.children);
+}
+
+function navDocument(chapters, metadata) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(metadata.language)}" lang="${escapeXml(metadata.language)}">`,
+    '<head>',
+    `<title>${escapeXml(metadata.title)}</title>`,
+    '</head>',
+    '<body>',
+    '<nav epub:type="toc" id="toc" role="doc-toc">',
+    '<h1>Contents</h1>',
+    navList(chapters),
+    '</nav>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function packageDocument(metadata, manifest, spine) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(metadata.language)}">`,
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:identifier id="book-id">${escapeXml(metadata.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(metadata.title)}</dc:title>`,
+    `<dc:language>${escapeXml(metadata.language)}</dc:language>`,
+  ];
+  metadata.creators.forEach((creator, idx) => {
+    const id = `creator-${idx + 1}`;
+    lines.push(`<dc:creator id="${id}">${escapeXml(creator.name)}</dc:creator>`);
+    if (creator.role) lines.push(`<meta refines="#${id}" property="role" scheme="marc:relators">${escapeXml(creator.role)}</meta>`);
+    if (creator.fileAs) lines.push(`<meta refines="#${id}" property="file-as">${escapeXml(creator.fileAs)}</meta>`);
+  });
+  if (metadata.publisher) lines.push(`<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`);
+  if (metadata.date) lines.push(`<dc:date>${escapeXml(metadata.date)}</dc:date>`);
+  for (const subject of metadata.subjects) lines.push(`<dc:subject>${escapeXml(subject)}</dc:subject>`);
+  if (metadata.description) lines.push(`<dc:description>${escapeXml(metadata.description)}</dc:description>`);
+  if (metadata.series) {
+    lines.push(
+      `<meta property="belongs-to-collection" id="series">${escapeXml(metadata.series)}</meta>`,
+      '<meta refines="#series" property="collection-type">series</meta>',
+    );
+    if (metadata.seriesIndex !== null) {
+      lines.push(`<meta refines="#series" property="group-position">${escapeXml(metadata.seriesIndex)}</meta>`);
+    }
+  }
+  lines.push(
+    `<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`,
+    '</metadata>',
+    '<manifest>',
+    ...manifest.map((item) => `<item id="${item.id}" href="${escapeXml(encodeLinkPath(item.href))}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`),
+    '</manifest>',
+    '<spine>',
+    ...spine.map((id) => `<itemref idref="${id}"/>`),
+    '</spine>',
+    '</package>',
+    '',
+  );
+  return lines.join('\n');
+}
+
+const CONTAINER_XML = [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+  '<rootfiles>',
+  `<rootfile full-path="${CONTENT_DIR}/content.opf" media-type="application/oebps-package+xml"/>`,
+  '</rootfiles>',
+  '</container>',
+  '',
+].join('\n');
+
+// Front matter fields -> package metadata; `overrides` (title, authors,
+// language, identifier, publisher) win over the files.
+function bookMetadata(fields, overrides, folder) {
+  const creators = Array.isArray(fields.creators) && fields.creators.length
+    ? fields.creators.map((creator) => ({ name: creator.name, role: creator.role || null, fileAs: creator.file_as || null }))
+    : (Array.isArray(fields.authors) ? fields.authors : []).map((name) => ({ name, role: 'aut', fileAs: null }));
+  const bookTitle = fields.book_title || (fields.chapter === undefined ? fields.title : null);
+  return {
+    title: overrides.title || bookTitle || path.basename(folder),
+    creators: overrides.authors && overrides.authors.length
+      ? overrides.authors.map((name) => ({ name, role: 'aut', fileAs: null }))
+      : creators.filter((creator) => creator.name),
+    language: overrides.language || fields.language || 'en',
+    identifier: overrides.identifier || fields.identifier || `urn:uuid:${crypto.randomUUID()}`,
+    publisher: overrides.publisher || fields.publisher || null,
+    date: fields.date ? String(fields.date) : null,
+    subjects: Array.isArray(fields.subjects) ? fields.subjects.map(String) : [],
+    description: fields.description || null,
+    series: fields.series || null,
+    seriesIndex: fields.series_index !== undefined ? fields.series_index : null,
+  };
+}
+
+// Returns { buffer, metadata, chapters, images, warnings }.
+function buildEpub(folder, options = {}) {
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    throw new EpubError(ErrorCodes.INPUT_NOT_FOUND, `Folder not found: ${folder}`);
+  }
+  const files = findChapterFiles(folder);
+  if (!files.length) {
+    throw new EpubError(ErrorCodes.NO_CHAPTERS, `No Markdown chapter files found in ${folder}`);
+  }
+
+  const warnings = [];
+  const images = new Map();
+  const packagePath = createPackagePaths();
+  const hrefs = new Map(files.map((relative) => [relative, packagePath(relative)]));
+  let fields = null;
+  const chapters = files.map((relative) => {
+    const { fields: chapterFields, body } = parseFrontMatter(fs.readFileSync(path.join(folder, ...relative.split('/')), 'utf8'));
+    if (!fields && Object.keys(chapterFields).length) fields = chapterFields;
+    const { blocks, notes } = markdownToBlocks(body);
+    const dir = path.posix.dirname(relative);
+    const href = hrefs.get(relative);
+
+    visitInline([...blocks, ...notes.flatMap((note) => note.blocks)], (node) => {
+      if (node.type === 'link' && isRelativeHref(node.href)) {
+        const [, linkPath, rest] = node.href.match(/^([^?#]*)(.*)$/s);
+        const target = path.posix.normalize(path.posix.join(dir, safeDecode(linkPath)));
+        node.href = hrefs.has(target)
+          ? `${hrefBetween(href, hrefs.get(target))}${rest}`
+          : `${encodeLinkPath(safeDecode(linkPath))}${rest}`;
+      } else if (node.type === 'image' && isRelativeHref(node.src)) {
+        const target = path.posix.normalize(path.posix.join(dir, safeDecode(node.src.split(/[?#]/)[0])));
+        const source = path.join(folder, ...target.split('/'));
+        if (target.startsWith('..') || !fs.existsSync(source)) {
+          warnings.push(`${relative}: image not found: ${node.src}`);
+        } else if (!MEDIA_TYPES[path.extname(target).toLowerCase()]) {
+          warnings.push(`${relative}: unsupported image type: ${node.src}`);
+        } else {
+          images.set(target, source);
+          node.src = hrefBetween(href, packagePath(target));
+        }
+      }
+    });
+
+    const firstHeading = blocks.find((block) => block.type === 'heading');
+    const isIndex = path.posix.basename(relative) === 'index.md';
+    return {
+      title: (chapterFields.book_title && chapterFields.title)
+        || (firstHeading && headingText(firstHeading.content))
+        || titleFromFileName(relative),
+      depth: relative.split('/').length - (isIndex ? 1 : 0),
+      href,
+      blocks,
+      notes,
+    };
+  });
+
+  const metadata = bookMetadata(fields || {}, options, folder);
+  const zip = createZipWriter();
+  // `mimetype` must come first and be stored uncompressed.
+  zip.add('mimetype', 'application/epub+zip', { compress: false });
+  zip.add('META-INF/container.xml', CONTAINER_XML);
+
+  const manifest = [{ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' }];
+  const spine = [];
+  chapters.forEach((chapter, idx) => {
+    const id = `chapter-${idx + 1}`;
+    zip.add(`${CONTENT_DIR}/${chapter.href}`, chapterDocument(chapter, metadata.language));
+    manifest.push({ id, href: chapter.href, mediaType: 'application/xhtml+xml' });
+    spine.push(id);
+    // Only the outline is needed from here on.
+    chapter.blocks = null;
+    chapter.notes = null;
+  });
+  let imageCount = 0;
+  for (const [target, source] of images) {
+    imageCount += 1;
+    const href = packagePath(target);
+    zip.add(`${CONTENT_DIR}/${href}`, fs.readFileSync(source), { compress: !/\.(jpe?g|png|gif|webp)$/i.test(target) });
+    manifest.push({ id: `image-${imageCount}`, href, mediaType: MEDIA_TYPES[path.extname(target).toLowerCase()] });
+  }
+  zip.add(`${CONTENT_DIR}/nav.xhtml`, navDocument(chapters, metadata));
+  zip.add(`${CONTENT_DIR}/content.opf`, packageDocument(metadata, manifest, spine));
+
+  return {
+    buffer: zip.toBuffer(),
+    metadata,
+    chapters: chapters.map(({ title, depth, href }) => ({ title, depth, href })),
+    images: Array.from(images.keys(), packagePath),
+    warnings,
+  };
+}
+
+module.exports = {
+  buildEpub,
+};
@@ -0,0 +1,299 @@
+/**
+ * Structural validation for `--check`: looks at an EPUB the way the converter
+ * will read it and reports what is broken, so a bad conversion can be blamed
+ * on the book or on the converter.
+ *
+ * Every finding is `{ severity, code, message, path }` with severity `error`
+ * (content is missing or can't be read), `warning` (the converter works
+ * around it, possibly with odd output) or `info`. Checks: the mimetype entry,
+ * container and package document, manifest items missing from the archive,
+ * spine idrefs with no manifest entry, non-HTML spine items, media overlays
+ * with no manifest entry, nav and NCX links whose file or fragment doesn't
+ * resolve (fragments the way the chapter carver finds them, with
+ * findAnchorPosition), encrypted resources, duplicate ids and files nothing in
+ * the manifest refers to. Of several renditions the first is checked, or the
+ * one picked with `options.rendition` (as with --rendition).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { openZip } = require('./zip');
+const { EpubError, ErrorCodes } = require('./errors');
+const { attrFromTag, decodeText } = require('./text');
+const {
+  parseRootfiles,
+  parseManifest,
+  parseSpine,
+  findNavItem,
+  parseNavHtml,
+  findNcxItem,
+  parseNcx,
+  resolveHref,
+  findAnchorPosition,
+} = require('./epub');
+const { readRenditions, pickRendition } = require('./convert');
+
+const MIMETYPE = 'application/epub+zip';
+// Font obfuscation (IDPF and Adobe) only scrambles fonts; anything else in
+// encryption.xml is DRM.
+const FONT_OBFUSCATION = new Set([
+  'http://www.idpf.org/2008/embedding',
+  'http://ns.adobe.com/pdf/enc#RC',
+]);
+
+function isRemote(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+// Ids repeated inside one document: { id: count } for counts above one.
+function duplicateIds(html) {
+  const counts = new Map();
+  for (const match of html.matchAll(/<[a-zA-Z][^>]*?\sid\s*=\s*(["'])(.*?)\1/g)) {
+    counts.set(match[2], (counts.get(match[2]) || 0) + 1);
+  }
+  return [...counts].filter(([, count]) => count > 1);
+}
+
+// Archive path -> encryption algorithm for every resource listed in
+// META-INF/encryption.xml.
+function parseEncryption(xml) {
+  const resources = new Map();
+  for (const [data] of xml.matchAll(/<(?:\w+:)?EncryptedData\b[\s\S]*?<\/(?:\w+:)?EncryptedData>/gi)) {
+    const method = data.match(/<(?:\w+:)?EncryptionMethod\b[^>]*>/i);
+    const reference = data.match(/<(?:\w+:)?CipherReference\b[^>]*>/i);
+    const uri = reference ? attrFromTag(reference[0], 'URI') : null;
+    if (uri) {
+      resources.set(resolveHref('', uri).filePath, method ? attrFromTag(method[0], 'Algorithm') : null);
+    }
+  }
+  return resources;
+}
+
+// Returns { input, package, ok, counts: { error, warning, info }, issues }.
+// Only a missing input file throws; everything else is reported.
+function checkEpub(input, options = {}) {
+  if (!Buffer.isBuffer(input) && !fs.existsSync(input)) {
+    throw new EpubError(ErrorCodes.INPUT_NOT_FOUND, `Input file not found: ${input}`);
+  }
+  const issues = [];
+  const report = (severity, code, message, filePath = null) => {
+    issues.push({ severity, code, message, path: filePath });
+  };
+  const result = (opfPath = null) => {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const issue of issues) counts[issue.severity] += 1;
+    return {
+      input: Buffer.isBuffer(input) ? null : input,
+      package: opfPath,
+      ok: counts.error === 0,
+      counts,
+      issues,
+    };
+  };
+
+  let archive;
+  try {
+    archive = openZip(input);
+  } catch (err) {
+    report('error', 'INVALID_ARCHIVE', `Not a readable ZIP archive: ${err.message}`);
+    return result();
+  }
+  const texts = new Map();
+  // Encrypted entries are reported once, below, rather than as unreadable.
+  const readText = (name) => {
+    if (archive.entries.get(name).encrypted) return null;
+    if (!texts.has(name)) {
+      try {
+        texts.set(name, decodeText(archive.read(name)));
+      } catch (err) {
+        report('error', 'UNREADABLE_ENTRY', `Could not read ${name}: ${err.message}`, name);
+        texts.set(name, null);
+      }
+    }
+    return texts.get(name);
+  };
+
+  const names = archive.list();
+  const mimetype = archive.entries.get('mimetype');
+  if (!mimetype) {
+    report('warning', 'MIMETYPE', 'The archive has no mimetype entry.', 'mimetype');
+  } else if (names[0] !== 'mimetype' || mimetype.method !== 0) {
+    report('warning', 'MIMETYPE', 'The mimetype entry should be the first entry in the archive and stored uncompressed.', 'mimetype');
+  } else if ((readText('mimetype') || '').trim() !== MIMETYPE) {
+    report('warning', 'MIMETYPE', `The mimetype entry should read "${MIMETYPE}".`, 'mimetype');
+  }
+  for (const name of names) {
+    if (archive.entries.get(name).encrypted) {
+      report('error', 'ENCRYPTED_RESOURCE', `${name} is encrypted in the ZIP archive.`, name);
+    }
+  }
+
+  const containerPath = 'META-INF/container.xml';
+  if (!archive.has(containerPath)) {
+    report('error', ErrorCodes.MISSING_CONTAINER, 'Missing META-INF/container.xml.', containerPath);
+    return result();
+  }
+  const rootfiles = parseRootfiles(readText(containerPath) || '');
+  if (!rootfiles.length) {
+    report('error', ErrorCodes.MISSING_ROOTFILE, 'container.xml names no package document.', containerPath);
+    return result();
+  }
+  const renditions = readRenditions(archive, readText);
+  const rendition = pickRendition(renditions, options.rendition);
+  if (renditions.length > 1) {
+    report('info', 'MULTIPLE_RENDITIONS', `container.xml lists ${renditions.length} renditions; checking rendition ${rendition.index} (${rendition.path}).`, containerPath);
+  }
+  const opfPath = rendition.path;
+  const opfDir = path.posix.dirname(opfPath);
+  if (!archive.has(opfPath)) {
+    report('error', 'MISSING_PACKAGE', `The package document ${opfPath} is not in the archive.`, opfPath);
+    return result(opfPath);
+  }
+  const opfText = readText(opfPath);
+  if (opfText === null) return result(opfPath);
+
+  // Manifest: duplicate ids, and items that aren't in the archive.
+  const manifest = parseManifest(opfText);
+  const idCounts = new Map();
+  for (const tag of opfText.match(/<item\b[^>]*?>/gi) || []) {
+    const id = attrFromTag(tag, 'id');
+    if (id) idCounts.set(id, (idCounts.get(id) || 0) + 1);
+  }
+  for (const [id, count] of idCounts) {
+    if (count > 1) report('error', 'DUPLICATE_MANIFEST_ID', `Manifest id "${id}" is used by ${count} items; only the last one counts.`, opfPath);
+  }
+  const manifestPaths = new Map();
+  for (const [id, item] of Object.entries(manifest)) {
+    if (isRemote(item.href)) continue;
+    const itemPath = resolveHref(opfDir, item.href).filePath;
+    if (manifestPaths.has(itemPath)) {
+      report('warning', 'DUPLICATE_MANIFEST_HREF', `Manifest items "${manifestPaths.get(itemPath)}" and "${id}" point at the same file.`, itemPath);
+    }
+    manifestPaths.set(itemPath, id);
+    if (!archive.has(itemPath)) {
+      report('error', 'MISSING_RESOURCE', `Manifest item "${id}" (${item.href}) is not in the archive.`, itemPath);
+    }
+    if (item.mediaOverlay && !manifest[item.mediaOverlay]) {
+      report('warning', 'UNKNOWN_MEDIA_OVERLAY', `Manifest item "${id}" names media overlay "${item.mediaOverlay}", which has no manifest entry.`, itemPath);
+    }
+  }
+
+  // Spine: unknown idrefs and items the converter skips.
+  const spine = parseSpine(opfText);
+  if (!spine.length) {
+    report('error', ErrorCodes.EMPTY_SPINE, 'The spine is empty or missing.', opfPath);
+  }
+  const spinePaths = new Set();
+  for (const idref of spine) {
+    const item = manifest[idref];
+    if (!item) {
+      report('error', 'UNKNOWN_SPINE_ITEM', `Spine itemref "${idref}" has no manifest entry.`, opfPath);
+      continue;
+    }
+    const itemPath = resolveHref(opfDir, item.href).filePath;
+    spinePaths.add(itemPath);
+    const mediaType = (item.mediaType || '').toLowerCase();
+    if (mediaType.startsWith('image/')) {
+      report('info', 'IMAGE_SPINE_ITEM', `Spine item "${idref}" is an image (${mediaType}); it is converted as a page image.`, itemPath);
+    } else if (!mediaType.includes('html')) {
+      report('warning', 'NON_HTML_SPINE_ITEM', `Spine item "${idref}" is ${item.mediaType || 'of unknown type'}, not HTML; the converter skips it.`, itemPath);
+    }
+  }
+
+  // Encryption: DRM makes a resource unreadable; font obfuscation is harmless.
+  const encryptionPath = 'META-INF/encryption.xml';
+  if (archive.has(encryptionPath)) {
+    for (const [resource, algorithm] of parseEncryption(readText(encryptionPath) || '')) {
+      if (FONT_OBFUSCATION.has(algorithm)) {
+        report('info', 'OBFUSCATED_FONT', `${resource} is an obfuscated font.`, resource);
+      } else {
+        report('error', 'ENCRYPTED_RESOURCE', `${resource} is encrypted (${algorithm || 'unknown algorithm'}); it can't be converted.`, resource);
+      }
+    }
+  }
+
+  // Content documents: ids repeated within a file.
+  const documents = [...manifestPaths].filter(([itemPath, id]) => (manifest[id].mediaType || '').toLowerCase().includes('html')
+    && archive.has(itemPath));
+  for (const [itemPath] of documents) {
+    const html = readText(itemPath);
+    if (html === null) continue;
+    for (const [id, count] of duplicateIds(html)) {
+      report('warning', 'DUPLICATE_ID', `${itemPath}: id "${id}" appears ${count} times; links to it go to the first.`, itemPath);
+    }
+  }
+
+  // Table of contents: the nav document and the NCX are checked separately.
+  const tocs = [
+    { kind: 'nav', item: findNavItem(manifest), parse: parseNavHtml },
+    { kind: 'NCX', item: findNcxItem(manifest, opfText), parse: parseNcx },
+  ].filter(({ item }) => item);
+  if (!tocs.length) {
+    report('warning', 'NO_TOC', 'No nav document or NCX; chapters follow the spine files.', opfPath);
+  }
+  for (const { kind, item, parse } of tocs) {
+    const tocPath = resolveHref(opfDir, item.href).filePath;
+    if (!archive.has(tocPath)) continue;
+    const tocText = readText(tocPath);
+    if (tocText === null) continue;
+    const entries = parse(tocText);
+    if (!entries.length) {
+      report('warning', 'EMPTY_TOC', `The ${kind} has no links.`, tocPath);
+    }
+    for (const entry of entries) {
+      if (isRemote(entry.href)) continue;
+      const target = resolveHref(path.posix.dirname(tocPath), entry.href);
+      const where = `${kind} entry "${entry.label}" (${entry.href})`;
+      if (!archive.has(target.filePath)) {
+        report('error', 'TOC_TARGET_MISSING', `${where} points at a file that is not in the archive.`, target.filePath);
+        continue;
+      }
+      if (!spinePaths.has(target.filePath)) {
+        report('warning', 'TOC_OUTSIDE_SPINE', `${where} points at a file that is not in the spine.`, target.filePath);
+      }
+      const html = target.fragment ? readText(target.filePath) : null;
+      if (html !== null && target.fragment && findAnchorPosition(html, target.fragment) === null) {
+        report('warning', 'TOC_FRAGMENT_MISSING', `${where}: no element has the id "${target.fragment}"; the chapter starts where the previous one did.`, target.filePath);
+      }
+    }
+  }
+
+  // Files nothing refers to: not the package itself, nor the META-INF files.
+  // Other renditions' packages and manifests count as references too.
+  const otherRenditions = new Set();
+  for (const { path: otherPath } of renditions.filter((other) => other !== rendition)) {
+    otherRenditions.add(otherPath);
+    const otherText = archive.has(otherPath) ? readText(otherPath) : null;
+    for (const item of Object.values(otherText ? parseManifest(otherText) : {})) {
+      otherRenditions.add(resolveHref(path.posix.dirname(otherPath), item.href).filePath);
+    }
+  }
+  for (const name of names) {
+    if (name.endsWith('/') || name === 'mimetype' || name === opfPath || name.startsWith('META-INF/')) continue;
+    if (!manifestPaths.has(name) && !otherRenditions.has(name)) {
+      report('warning', 'UNREFERENCED_FILE', `${name} is not listed in the manifest.`, name);
+    }
+  }
+
+  return result(opfPath);
+}
+
+// Human-readable report: one line per finding, errors first, then a total.
+function formatCheckReport(report, cwd = process.cwd()) {
+  const order = ['error', 'warning', 'info'];
+  const issues = [...report.issues].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  const codeWidth = Math.max(0, ...issues.map((issue) => issue.code.length));
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const name = report.input ? path.relative(cwd, report.input) : 'EPUB';
+  return [
+    ...issues.map((issue) => `${issue.severity.padEnd(7)}  ${issue.code.padEnd(codeWidth)}  ${issue.message}`),
+    ...(issues.length ? [''] : []),
+    `${name}: ${plural(report.counts.error, 'error')}, ${plural(report.counts.warning, 'warning')}`
+      + (report.counts.info ? `, ${report.counts.info} info` : ''),
+  ].join('\n');
+}
+
+module.exports = {
+  checkEpub,
+  formatCheckReport,
+};
@@ -0,0 +1,211 @@
+/**
+ * Chunked output for embedding and retrieval pipelines: each chapter is cut
+ * into pieces of roughly `size` characters (or approximate tokens, counted as
+ * four characters each) and every piece becomes one JSONL record.
+ *
+ * Chunks are built from the chapter's blocks (lib/ir.js), so they break at
+ * headings, between paragraphs and, for paragraphs longer than the target,
+ * between sentences. A list is only broken between its items, and list
+ * items, code blocks, tables, quotes and figures are never cut. A heading
+ * always starts a new chunk; breaks made for size repeat up to `overlap` of
+ * the previous chunk's trailing sentences or blocks.
+ *
+ * A chunk's text is exactly `chapter.content.slice(start, end)`, where the
+ * content is the chapter as rendered in the chosen format (Markdown or text).
+ */
+
+const path = require('node:path');
+const { streamBook } = require('./convert');
+const { getFormat } = require('./formats');
+const { headingText } = require('./ir');
+
+const CHUNK_FORMATS = ['markdown', 'text'];
+const CHUNK_UNITS = ['chars', 'tokens'];
+
+function measureWith(unit) {
+  return unit === 'tokens' ? (text) => Math.ceil(text.length / 4) : (text) => text.length;
+}
+
+// Sentence ends: terminal punctuation (plus closing quotes or brackets)
+// followed by whitespace and something that can open a sentence.
+const SENTENCE_BREAK = /(?<=[.!?…]["'”’)\]]*)\s+(?=[\p{Lu}\p{N}"'“‘([])/gu;
+
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_BREAK)) {
+    sentences.push(text.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  sentences.push(text.slice(start));
+  return sentences.filter(Boolean);
+}
+
+// The pieces of a chapter in reading order: { text, heading, level,
+// splittable, anchor }, `anchor` being the last element id seen by the end
+// of the piece. Each piece's text is a verbatim part of the rendered chapter.
+function chapterPieces(chapter, format) {
+  const pieces = [];
+  const title = format.renderChapter({ title: chapter.title, level: chapter.level, blocks: [], noteGroups: [], listing: [] });
+  pieces.push({ text: title, heading: chapter.title, level: chapter.level, anchor: null });
+  for (const block of chapter.blocks) {
+    const anchor = block.anchor || null;
+    if (block.type === 'heading') {
+      pieces.push({ text: format.renderBlocks([block]), heading: headingText(block.content), level: block.level, anchor });
+    } else if (block.type === 'list') {
+      block.items.forEach((item, idx) => {
+        const single = { ...block, start: block.start + idx, items: [item] };
+        const last = item.blocks[item.blocks.length - 1];
+        pieces.push({ text: format.renderBlocks([single]), anchor: (last && last.anchor) || anchor });
+      });
+    } else {
+      pieces.push({ text: format.renderBlocks([block]), splittable: block.type === 'paragraph', anchor });
+    }
+  }
+  for (const group of chapter.noteGroups) {
+    pieces.push(...group.map((note) => ({ text: format.renderFootnotes([note]) })));
+  }
+  return pieces.filter((piece) => piece.text);
+}
+
+// Places the pieces in the chapter content and gives each one its heading
+// path and the nearest element id, the chapter's own fragment until the
+// first one. Returns units { start, end, heading, headings, fragment }.
+function chapterUnits(chapter, format, { ancestors, measure, size }) {
+  const { content } = chapter;
+  const units = [];
+  const sections = [];
+  let fragment = chapter.fragment || null;
+  let cursor = 0;
+  const place = (text) => {
+    const start = content.indexOf(text, cursor);
+    if (start === -1) return null;
+    cursor = start + text.length;
+    return start;
+  };
+  for (const piece of chapterPieces(chapter, format)) {
+    if (piece.heading !== undefined && units.length) {
+      while (sections.length && sections[sections.length - 1].level >= piece.level) sections.pop();
+      // Chapters usually open by repeating their title.
+      if (piece.heading && !(sections.length === 0 && piece.heading === chapter.title)) {
+        sections.push({ level: piece.level, text: piece.heading });
+      }
+    }
+    const headings = [...ancestors, chapter.title, ...sections.map((section) => section.text)];
+    fragment = piece.anchor || fragment;
+    const parts = piece.splittable && measure(piece.text) > size ? splitSentences(piece.text) : [piece.text];
+    for (const part of parts) {
+      const start = place(part);
+      if (start === null) continue;
+      units.push({
+        start,
+        end: start + part.length,
+        heading: piece.heading !== undefined,
+        headings,
+        fragment,
+      });
+    }
+  }
+  return units;
+}
+
+// Greedy packing: add units while the chunk stays within `size`. A heading
+// closes the current chunk unless it holds nothing but headings so far.
+// Returns { start, end, headings, fragment } per chunk, the fragment being
+// that of its first unit.
+function packUnits(units, content, { measure, size, overlap }) {
+  const chunks = [];
+  let current = [];
+  const textOf = (list) => content.slice(list[0].start, list[list.length - 1].end);
+  const close = () => {
+    if (current.length) chunks.push(current);
+    current = [];
+  };
+  for (const unit of units) {
+    if (!current.length) {
+      current.push(unit);
+      continue;
+    }
+    if (unit.heading) {
+      if (current.some((held) => !held.heading)) close();
+      current.push(unit);
+      continue;
+    }
+    // Headings stay with the text that follows them.
+    if (current.every((held) => held.heading) || measure(textOf([...current, unit])) <= size) {
+      current.push(unit);
+      continue;
+    }
+    const previous = current;
+    close();
+    // Carry over the trailing units that fit in the overlap (never all of them).
+    for (let i = previous.length - 1; i > 0 && overlap > 0; i -= 1) {
+      if (previous[i].heading || measure(textOf(previous.slice(i))) > overlap) break;
+      current = previous.slice(i);
+    }
+    current.push(unit);
+  }
+  close();
+  return chunks.map((list) => ({
+    start: list[0].start,
+    end: list[list.length - 1].end,
+    headings: (list.find((unit) => !unit.heading) || list[list.length - 1]).headings,
+    fragment: list[0].fragment,
+  }));
+}
+
+function bookInfo(metadata) {
+  return {
+    title: metadata.title,
+    authors: metadata.creators.map((creator) => creator.name),
+    language: metadata.language,
+    identifier: metadata.identifier,
+    isbn: metadata.isbn,
+    publisher: metadata.publisher,
+    date: metadata.date,
+  };
+}
+
+// Yields one record per chunk:
+// { id, book, chapter: { index, label, title, type }, headings, href, fragment,
+//   start, end, text }
+// options: the streamBook() options plus { size, unit = 'chars', overlap = 0 }.
+function* chunkBook(book, options = {}) {
+  const { size, unit = 'chars', overlap = 0 } = options;
+  const format = getFormat(options.format || 'markdown');
+  if (!CHUNK_FORMATS.includes(format.name)) {
+    throw new Error(`Chunks can only be made from ${CHUNK_FORMATS.join(' or ')} output.`);
+  }
+  const measure = measureWith(unit);
+  const info = bookInfo(book.metadata);
+  const result = streamBook(book, { ...options, split: false, nested: false, toc: false, keepBlocks: true });
+  // Titles of the enclosing chapters, by chapter level.
+  const ancestors = [];
+  for (const chapter of result.chapters) {
+    ancestors.length = Math.max(0, chapter.level - 1);
+    const parents = ancestors.filter(Boolean);
+    ancestors[chapter.level - 1] = chapter.title;
+    if (!chapter.content) continue;
+    const units = chapterUnits(chapter, format, { ancestors: parents, measure, size });
+    const chunks = packUnits(units, chapter.content, { measure, size, overlap });
+    for (const [idx, chunk] of chunks.entries()) {
+      yield {
+        id: `${chapter.index}.${idx + 1}`,
+        book: info,
+        chapter: { index: chapter.index, label: chapter.label, title: chapter.title, type: chapter.type },
+        headings: chunk.headings,
+        href: path.posix.relative(book.opfDir, chapter.filePath),
+        fragment: chunk.fragment,
+        start: chunk.start,
+        end: chunk.end,
+        text: chapter.content.slice(chunk.start, chunk.end),
+      };
+    }
+  }
+}
+
+module.exports = {
+  CHUNK_FORMATS,
+  CHUNK_UNITS,
+  chunkBook,
+};
@@ -0,0 +1,786 @@
+/**
+ * Programmatic conversion API.
+ *
+ *   const { convertEpub } = require('./epub2markup');
+ *   const { metadata, chapters, toc } = convertEpub('book.epub', { imageDir: 'images' });
+ *
+ * `openEpub()` parses the package and carves chapters from the TOC entries
+ * down to `tocDepth` (nav document, else NCX, else one per spine item),
+ * classifies them (`type`: cover, copyright, bodymatter, index…; `matter`:
+ * front, body or back) and keeps the types asked for with `include`/`exclude`;
+ * `convertBook()` renders those chapters in the chosen `format` (Markdown by
+ * default, see lib/formats/); each chapter's text is its `content`.
+ * `convertEpub()` does both. Failures throw EpubError. A book with several
+ * renditions (packages in container.xml) is read from the first, or the one
+ * `rendition` picks; listRenditions() lists them.
+ *
+ * Chapters keep their TOC depth. With `nested`, split output mirrors that
+ * hierarchy: a chapter with subchapters becomes a folder whose `index.md`
+ * holds its own text plus a list of its children, and headings are pushed
+ * down one level per nesting step (single-file output is shifted the same way).
+ *
+ * With `toc`, the result also carries a table of contents built from the whole
+ * TOC tree, not just the levels that start chapters: it heads a single file,
+ * and split output gets it as `index.md` (`SUMMARY.md` with `summary`).
+ *
+ * Fixed-layout books are read as pages (lib/pages.js): each chapter is a run
+ * of page images with their overlaid text. Image items in the spine of other
+ * books become pages of their own.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { openZip } = require('./zip');
+const { EpubError, ErrorCodes } = require('./errors');
+const { htmlToBlocks, noteToBlocks, collectAnchors } = require('./ir');
+const { getFormat } = require('./formats');
+const { parseHtml } = require('./html');
+const { attrFromTag, decodeText } = require('./text');
+const { createNoteCollector, createFootnoteRegistry } = require('./notes');
+const { createSlugger, buildLinkMap } = require('./links');
+const { createRuleSet } = require('./rules');
+const {
+  CHAPTER_TYPES,
+  parseRootfiles,
+  parseManifest,
+  parseSpine,
+  parseSpineProperties,
+  findNavItem,
+  parseNavHtml,
+  parseLandmarks,
+  parseGuide,
+  findNcxItem,
+  parseNcx,
+  resolveHref,
+  findAnchorPosition,
+  classifyChapters,
+} = require('./epub');
+const { parseMetadata, parseViewport } = require('./metadata');
+const { assignPages, pageBlocks } = require('./pages');
+
+function slugifyTitle(title, index) {
+  const prefix = String(index).padStart(2, '0');
+  const cleaned = (title || '').trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ');
+  const truncated = cleaned.length ? cleaned.slice(0, 80) : `Chapter ${prefix}`;
+  return `${prefix} ${truncated}`.trim();
+}
+
+function openArchive(input) {
+  if (!Buffer.isBuffer(input) && !fs.existsSync(input)) {
+    throw new EpubError(ErrorCodes.INPUT_NOT_FOUND, `Input file not found: ${input}`);
+  }
+  try {
+    return openZip(input);
+  } catch (err) {
+    throw new EpubError(ErrorCodes.INVALID_ARCHIVE, `Failed to open EPUB: ${err.message}`, { cause: err });
+  }
+}
+
+function readText(archive, name) {
+  try {
+    return decodeText(archive.read(name));
+  } catch (err) {
+    throw new EpubError(ErrorCodes.UNREADABLE_ENTRY, `Could not read ${name}: ${err.message}`, { cause: err });
+  }
+}
+
+// Map TOC entries to spine order; fall back to spine items if there is no TOC.
+// Chapters only record where they start; the HTML is read later, a file at a
+// time, by the chapter reader. Chapters of a `paged` book, and chapters that
+// are an image item, get the `pages` they show instead.
+function carveChapters(archive, spineItems, navEntries, { paged = false, title = null } = {}) {
+  const chapters = [];
+  if (navEntries.length) {
+    const spineOrder = new Map(spineItems.map((item, idx) => [item.path, idx]));
+    const perFile = new Map();
+    for (const entry of navEntries) {
+      if (!archive.has(entry.filePath)) continue;
+      const spineIdx = spineOrder.has(entry.filePath) ? spineOrder.get(entry.filePath) : Number.MAX_SAFE_INTEGER;
+      const idx = perFile.get(entry.filePath) || 0;
+      perFile.set(entry.filePath, idx + 1);
+      chapters.push({
+        label: entry.label,
+        depth: entry.depth,
+        filePath: entry.filePath,
+        fragment: entry.fragment,
+        spineIdx,
+        idx,
+      });
+    }
+    // Files outside the spine go last, in TOC order.
+    chapters.sort((a, b) => a.spineIdx - b.spineIdx || a.idx - b.idx);
+    if (paged) {
+      assignPages(chapters, spineItems);
+    } else {
+      for (const chapter of chapters) {
+        const item = spineItems[chapter.spineIdx];
+        if (item && item.image) chapter.pages = [item];
+      }
+    }
+    return chapters.map(({ spineIdx, idx, ...chapter }) => chapter);
+  }
+  const present = spineItems.filter((item) => archive.has(item.path));
+  if (paged) {
+    return present.length
+      ? [{ label: title || 'Pages', depth: 1, filePath: present[0].path, fragment: null, pages: present }]
+      : [];
+  }
+  // spineItems are already in spine order.
+  for (const item of present) {
+    const chapter = { label: path.basename(item.href), depth: 1, filePath: item.path, fragment: null };
+    if (item.image) chapter.pages = [item];
+    chapters.push(chapter);
+  }
+  return chapters;
+}
+
+// Returns read(chapter) -> the chapter's HTML slice. The source file is kept
+// only until its last chapter has been read, so a pass over the chapters in
+// order holds one file at a time.
+function createChapterReader(archive, chapters) {
+  const byFile = new Map();
+  for (const chapter of chapters.filter((chapter) => !chapter.pages)) {
+    if (!byFile.has(chapter.filePath)) byFile.set(chapter.filePath, []);
+    byFile.get(chapter.filePath).push(chapter);
+  }
+  let cached = null;
+
+  function load(filePath) {
+    const html = readText(archive, filePath);
+    const group = byFile.get(filePath);
+    const positions = group.map((chapter) => findAnchorPosition(html, chapter.fragment));
+    // An anchor that can't be found starts where the previous one did.
+    const slices = new Map();
+    group.forEach((chapter, i) => {
+      const next = positions.slice(i + 1).find((pos) => pos !== null);
+      const start = positions[i] !== null ? positions[i] : (i === 0 ? 0 : positions[i - 1] || 0);
+      const end = next !== undefined ? next : html.length;
+      slices.set(chapter, [start, end]);
+    });
+    return { filePath, html, slices, last: group[group.length - 1] };
+  }
+
+  return (chapter) => {
+    if (!cached || cached.filePath !== chapter.filePath) cached = load(chapter.filePath);
+    const [start, end] = cached.slices.get(chapter);
+    const content = cached.html.slice(start, end);
+    if (chapter === cached.last) cached = null;
+    return content;
+  };
+}
+
+// Prefer the EPUB3 nav document; EPUB2 books only have the NCX.
+function readToc(archive, manifest, opfText, opfDir) {
+  const sources = [
+    { item: findNavItem(manifest), parse: parseNavHtml },
+    { item: findNcxItem(manifest, opfText), parse: parseNcx },
+  ];
+  for (const { item, parse } of sources) {
+    if (!item) continue;
+    const tocPath = resolveHref(opfDir, item.href).filePath;
+    if (!archive.has(tocPath)) continue;
+    const entries = parse(readText(archive, tocPath)).map((entry) => {
+      const resolved = resolveHref(path.posix.dirname(tocPath), entry.href);
+      return { ...entry, filePath: resolved.filePath, fragment: resolved.fragment };
+    });
+    if (entries.length) return entries;
+  }
+  return [];
+}
+
+// Landmarks from the nav document and the guide from the OPF, with their
+// hrefs resolved to archive paths.
+function readLandmarks(archive, manifest, opfText, opfDir) {
+  const resolve = (baseDir) => (entry) => ({ ...entry, ...resolveHref(baseDir, entry.href) });
+  const navItem = findNavItem(manifest);
+  const navPath = navItem ? resolveHref(opfDir, navItem.href).filePath : null;
+  return {
+    landmarks: navPath && archive.has(navPath)
+      ? parseLandmarks(readText(archive, navPath)).map(resolve(path.posix.dirname(navPath)))
+      : [],
+    guide: parseGuide(opfText).map(resolve(opfDir)),
+  };
+}
+
+const LAYOUTS = ['reflowable', 'pre-paginated'];
+
+// The renditions (package documents) container.xml lists, 1-based `index`
+// in container order. Language and layout the container doesn't state come
+// from each package's metadata. `read(name)` returns an entry's text (null
+// when it can't be read).
+function readRenditions(archive, read = (name) => readText(archive, name)) {
+  const containerPath = 'META-INF/container.xml';
+  if (!archive.has(containerPath)) {
+    throw new EpubError(ErrorCodes.MISSING_CONTAINER, 'Invalid EPUB: missing META-INF/container.xml');
+  }
+  const rootfiles = parseRootfiles(read(containerPath) || '');
+  if (!rootfiles.length) {
+    throw new EpubError(ErrorCodes.MISSING_ROOTFILE, 'Could not determine OPF package path from container.xml');
+  }
+  return rootfiles.map((rootfile, idx) => {
+    const opfPath = resolveHref('', rootfile.path).filePath;
+    const opfText = archive.has(opfPath) ? read(opfPath) : null;
+    const metadata = opfText ? parseMetadata(opfText) : null;
+    return {
+      index: idx + 1,
+      path: opfPath,
+      label: rootfile.label,
+      language: rootfile.language || (metadata && metadata.language),
+      layout: rootfile.layout || (metadata ? metadata.rendition.layout : null),
+      media: rootfile.media,
+      accessMode: rootfile.accessMode,
+      title: metadata ? metadata.title : null,
+    };
+  });
+}
+
+// `which` is a 1-based index, a layout (`reflowable`, `pre-paginated` or
+// `fixed`) or a language: `en` picks `en` or `en-GB`, `en-GB` only `en-GB`.
+// Without it the first rendition is used.
+function pickRendition(renditions, which) {
+  if (which === undefined || which === null || which === '') return renditions[0];
+  const wanted = String(which).trim().toLowerCase();
+  let found;
+  if (/^\d+$/.test(wanted)) {
+    found = renditions[Number(wanted) - 1];
+  } else if (LAYOUTS.includes(wanted) || wanted === 'fixed') {
+    const layout = wanted === 'fixed' ? 'pre-paginated' : wanted;
+    found = renditions.find((rendition) => (rendition.layout || 'reflowable') === layout);
+  } else {
+    const language = (rendition) => (rendition.language || '').toLowerCase();
+    found = renditions.find((rendition) => language(rendition) === wanted)
+      || renditions.find((rendition) => language(rendition).startsWith(`${wanted}-`));
+  }
+  if (!found) {
+    const listed = renditions.map((rendition) => {
+      const details = [rendition.language, rendition.layout].filter(Boolean).join(', ');
+      return `${rendition.index} (${details || rendition.path})`;
+    });
+    throw new EpubError(ErrorCodes.RENDITION_NOT_FOUND, `No rendition matches "${which}"; the book has ${listed.join(', ')}.`);
+  }
+  return found;
+}
+
+// `include`/`exclude` name chapter types (see CHAPTER_TYPES in lib/epub.js);
+// `frontmatter`, `bodymatter` and `backmatter` also stand for every type in
+// that part of the book.
+function selectChapters(chapters, { include = [], exclude = [] }) {
+  for (const name of [...include, ...exclude]) {
+    if (!Object.prototype.hasOwnProperty.call(CHAPTER_TYPES, name)) throw new Error(`Unknown chapter type: ${name}`);
+  }
+  const selects = (chapter, names) => names.some((name) => chapter.type === name || `${chapter.matter}matter` === name);
+  return chapters.filter((chapter) => (!include.length || selects(chapter, include)) && !selects(chapter, exclude));
+}
+
+function openEpub(input, options = {}) {
+  const { tocDepth = 1 } = options;
+  const archive = openArchive(input);
+  const warnings = [];
+
+  const renditions = readRenditions(archive);
+  const selected = pickRendition(renditions, options.rendition);
+  if (renditions.length > 1 && !options.rendition) {
+    warnings.push(`The book has ${renditions.length} renditions; converting the first (choose another with --rendition).`);
+  }
+  const opfPath = selected.path;
+  const opfDir = path.posix.dirname(opfPath);
+  const opfText = readText(archive, opfPath);
+
+  const manifest = parseManifest(opfText);
+  const spine = parseSpine(opfText);
+
+  if (!spine.length) {
+    throw new EpubError(ErrorCodes.EMPTY_SPINE, 'OPF spine is empty or missing; nothing to convert.');
+  }
+
+  // Documents and images (comic pages) in reading order; `number` is the
+  // page number in a paged book.
+  const spineItems = [];
+  const spineProperties = parseSpineProperties(opfText);
+  for (const idref of spine) {
+    const item = manifest[idref];
+    if (!item) {
+      warnings.push(`Spine item "${idref}" not found in manifest; skipping.`);
+      continue;
+    }
+    const mediaType = (item.mediaType || '').toLowerCase();
+    const isHtml = mediaType.includes('html');
+    if (!isHtml && !mediaType.startsWith('image/')) continue;
+    spineItems.push({
+      idref,
+      href: item.href,
+      path: resolveHref(opfDir, item.href).filePath,
+      mediaType,
+      properties: item.properties || '',
+      spineProperties: spineProperties.get(idref) || '',
+      image: !isHtml,
+      number: spineItems.length + 1,
+    });
+  }
+  const htmlItems = spineItems.filter((item) => !item.image);
+
+  if (!spineItems.length) {
+    throw new EpubError(ErrorCodes.NO_HTML_CONTENT, 'No HTML or image content found in the spine; nothing to convert.');
+  }
+
+  const metadata = parseMetadata(opfText, manifest, opfDir);
+  const { rendition } = metadata;
+  if (spineItems.every((item) => item.spineProperties.split(/\s+/).includes('rendition:layout-pre-paginated'))) {
+    rendition.layout = 'pre-paginated';
+  }
+  const paged = rendition.layout === 'pre-paginated' || !htmlItems.length;
+  // Fixed-layout pages usually give their size in <meta name="viewport">.
+  if (paged && !rendition.viewport && htmlItems.length && archive.has(htmlItems[0].path)) {
+    const viewport = readText(archive, htmlItems[0].path).match(/<meta\b[^>]*\bname\s*=\s*["']viewport["'][^>]*>/i);
+    rendition.viewport = viewport ? parseViewport(attrFromTag(viewport[0], 'content')) : null;
+  }
+
+  const toc = readToc(archive, manifest, opfText, opfDir);
+
+  const navEntries = toc.filter((entry) => entry.depth <= tocDepth);
+  const carved = carveChapters(archive, spineItems, navEntries, { paged, title: metadata.title });
+  if (!carved.length) {
+    throw new EpubError(ErrorCodes.NO_CHAPTERS, 'No chapters could be derived from TOC or spine.');
+  }
+  const imagePaths = new Set(spineItems.filter((item) => item.image).map((item) => item.path));
+  classifyChapters(carved, {
+    read: (filePath) => (imagePaths.has(filePath) ? null : readText(archive, filePath)),
+    ...readLandmarks(archive, manifest, opfText, opfDir),
+  });
+  const chapters = selectChapters(carved, options);
+  if (!chapters.length) {
+    throw new EpubError(ErrorCodes.NO_CHAPTERS, 'No chapters left after including and excluding chapter types.');
+  }
+
+  return {
+    archive,
+    opfPath,
+    opfDir,
+    manifest,
+    spine,
+    htmlItems,
+    spineItems,
+    paged,
+    renditions,
+    renditionIndex: selected.index,
+    metadata,
+    toc,
+    chapters,
+    // Left-out chapters still bound the slices of the ones kept.
+    readChapter: createChapterReader(archive, carved),
+    warnings,
+  };
+}
+
+// Note markup a document can't hold notes or noterefs without.
+const NOTE_MARKUP = /noteref|(?:epub:type|role)\s*=\s*["']?[^"'>]*\b(?:doc-)?(?:foot|end|rear)?note\b/i;
+
+// Notes can live in any spine file, so every document is searched up front.
+// Only the ones with note markup, or that an earlier noteref points into,
+// are parsed.
+function collectBookNotes(book) {
+  const collector = createNoteCollector();
+  for (const item of book.htmlItems) {
+    if (!book.archive.has(item.path)) continue;
+    const text = readText(book.archive, item.path);
+    if (NOTE_MARKUP.test(text) || collector.refersTo(item.path)) collector.add(item.path, parseHtml(text));
+  }
+  return collector.finish();
+}
+
+// A chapter's blocks: its slice of HTML, or its pages one after another.
+function chapterBlocks(book, chapter, options) {
+  if (!chapter.pages) {
+    return htmlToBlocks(book.readChapter(chapter), {
+      ...options,
+      baseDir: path.posix.dirname(chapter.filePath),
+      filePath: chapter.filePath,
+    });
+  }
+  return chapter.pages
+    .filter((page) => book.archive.has(page.path))
+    .flatMap((page) => {
+      const raster = page.image && page.mediaType !== 'image/svg+xml';
+      return pageBlocks(raster ? null : readText(book.archive, page.path), page, options, book.opfDir);
+    });
+}
+
+// What chapterBlocks() would record in `options.anchors`, without building
+// the blocks. Returns whether the chapter has any blocks; raster and drawn
+// SVG pages always do (their picture).
+function chapterAnchors(book, chapter, options) {
+  if (!chapter.pages) {
+    return collectAnchors(book.readChapter(chapter), {
+      ...options,
+      baseDir: path.posix.dirname(chapter.filePath),
+      filePath: chapter.filePath,
+    });
+  }
+  return chapter.pages
+    .filter((page) => book.archive.has(page.path))
+    .map((page) => {
+      const raster = page.image && page.mediaType !== 'image/svg+xml';
+      const content = !raster && collectAnchors(readText(book.archive, page.path), {
+        ...options,
+        baseDir: path.posix.dirname(page.path),
+        filePath: page.path,
+      });
+      return content || Boolean(page.image);
+    })
+    .includes(true);
+}
+
+// First pass for internal links: scan every chapter once to learn its
+// headings and which heading each element id falls under.
+function createLinkResolver(book, notes, titles, fileNames, { split, rules, reserved }) {
+  const dryRun = createFootnoteRegistry(notes);
+  const anchored = [];
+  book.chapters.forEach((chapter, idx) => {
+    const anchors = { headings: [], ids: new Map() };
+    if (chapterAnchors(book, chapter, { footnotes: dryRun, rules, anchors })) {
+      anchored.push({ index: idx, filePath: chapter.filePath, fileName: fileNames[idx], title: titles[idx], anchors });
+    }
+  });
+  return buildLinkMap(anchored, { split, reserved });
+}
+
+// Parent and nesting level of each chapter: the parent is the closest earlier
+// chapter with a smaller TOC depth, so gaps in the depths don't add levels.
+function chapterTree(chapters) {
+  const nodes = [];
+  const stack = [];
+  chapters.forEach((chapter, idx) => {
+    const depth = chapter.depth || 1;
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+    const parent = stack.length ? stack[stack.length - 1].idx : null;
+    nodes.push({ parent, level: stack.length + 1, children: [] });
+    if (parent !== null) nodes[parent].children.push(idx);
+    stack.push({ depth, idx });
+  });
+  return nodes;
+}
+
+// `01 Part One/index.md`, `01 Part One/03 Chapter Three.md`: chapters are
+// numbered among their siblings, and a chapter with children becomes a folder.
+function nestedFileNames(chapters, tree, extension) {
+  const folders = [];
+  const siblingCounts = new Map();
+  return chapters.map((chapter, idx) => {
+    const { parent, children } = tree[idx];
+    const count = (siblingCounts.get(parent) || 0) + 1;
+    siblingCounts.set(parent, count);
+    const name = slugifyTitle(chapter.label, count);
+    const folder = parent === null ? '' : folders[parent];
+    if (children.length) {
+      folders[idx] = `${folder}${name}/`;
+      return `${folders[idx]}index${extension}`;
+    }
+    return `${folder}${name}${extension}`;
+  });
+}
+
+function encodeLinkPath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+const IMAGE_POLICIES = ['extract', 'inline', 'drop', 'keep-alt'];
+
+// Extracted images share one flat folder: a file keeps its name unless a
+// different file took it first (`fig.png`, then `fig-2.png`; names are
+// compared without case). Returns name(entryName, preferred).
+function createImageNamer() {
+  const names = new Map();
+  const taken = new Set();
+  return (entryName, preferred = path.posix.basename(entryName)) => {
+    if (names.has(entryName)) return names.get(entryName);
+    const extension = path.posix.extname(preferred);
+    const stem = preferred.slice(0, preferred.length - extension.length);
+    let name = preferred;
+    for (let n = 2; taken.has(name.toLowerCase()); n += 1) name = `${stem}-${n}${extension}`;
+    taken.add(name.toLowerCase());
+    names.set(entryName, name);
+    return name;
+  };
+}
+
+// What happens to images under `imagePolicy` (`imageDir` alone means
+// extract). Extracted images are linked as `<imageDir>/<flat name>` and the
+// cover is exported as `cover.<ext>` whether or not a chapter shows it;
+// inlined ones become data URIs. Without a policy, links are left as they are.
+function imageSettings(book, options) {
+  const policy = options.imagePolicy || (options.imageDir ? 'extract' : null);
+  if (policy && !IMAGE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown image policy: ${policy}`);
+  }
+  const imageDir = policy === 'extract' ? options.imageDir || 'images' : null;
+  const name = createImageNamer();
+  const coverPath = book.metadata.cover;
+  const cover = imageDir && coverPath && book.archive.has(coverPath)
+    ? { path: coverPath, target: path.posix.join(imageDir, name(coverPath, `cover${path.posix.extname(coverPath)}`)) }
+    : null;
+  const mediaTypes = new Map(Object.values(book.manifest)
+    .map((item) => [resolveHref(book.opfDir, item.href).filePath, item.mediaType]));
+  return {
+    policy,
+    imageDir,
+    cover,
+    target: (entryName) => (imageDir ? path.posix.join(imageDir, name(entryName)) : null),
+    dataUri: (entryName) => {
+      const type = mediaTypes.get(entryName) || 'application/octet-stream';
+      return `data:${type};base64,${book.archive.read(entryName).toString('base64')}`;
+    },
+  };
+}
+
+// What the table of contents and the chapters share: titles, the TOC tree,
+// output file names, rules and, when internal links or a table of contents
+// need it, the link map from a first scanning pass.
+function planChapters(book, options) {
+  const { split = false, nested = false, internalLinks = false, toc = false, summary = false } = options;
+  const format = getFormat(options.format || 'markdown');
+  const titles = book.chapters.map((chapter, idx) => chapter.label || `Chapter ${idx + 1}`);
+  const tree = chapterTree(book.chapters);
+  const folders = split && nested;
+  const fileNames = folders
+    ? nestedFileNames(book.chapters, tree, format.extension)
+    : book.chapters.map((chapter, idx) => `${slugifyTitle(chapter.label, idx + 1)}${format.extension}`);
+  // Config rules (lib/rules.js) can add or remove headings, so the link pass
+  // needs them too.
+  const rules = options.rules && options.rules.length ? createRuleSet(options.rules) : null;
+  const notes = collectBookNotes(book);
+  const contentsTitle = toc ? (summary ? 'Summary' : 'Contents') : null;
+  const linkMap = internalLinks || toc
+    ? createLinkResolver(book, notes, titles, fileNames, { split, rules, reserved: contentsTitle ? [contentsTitle] : [] })
+    : null;
+  return {
+    format,
+    titles,
+    tree,
+    folders,
+    fileNames,
+    rules,
+    notes,
+    linkMap,
+    contentsTitle,
+    contentsFile: toc && split ? (summary ? 'SUMMARY.md' : `index${format.extension}`) : null,
+  };
+}
+
+// The table of contents as [{ title, href, children }]: every TOC entry at
+// any depth (every chapter when the book has none) that made it into the
+// output, nested as in the TOC. Chapters link to their file in split output,
+// anything deeper to its heading.
+function contentsEntries(book, plan) {
+  const starts = new Map(book.chapters.map((chapter, idx) => [`${chapter.filePath}#${chapter.fragment || ''}`, idx]));
+  const entries = [];
+  for (const entry of book.toc.length ? book.toc : book.chapters) {
+    const start = starts.get(`${entry.filePath}#${entry.fragment || ''}`);
+    const title = start !== undefined ? plan.titles[start] : entry.label;
+    const href = start !== undefined
+      ? plan.linkMap.chapterStart(plan.contentsFile, start)
+      : plan.linkMap(plan.contentsFile, entry.filePath, entry.fragment);
+    if (!href || !title) continue;
+    entries.push({ title, href, depth: entry.depth || 1 });
+  }
+  const tree = chapterTree(entries);
+  const nest = (idx) => ({ title: entries[idx].title, href: entries[idx].href, children: tree[idx].children.map(nest) });
+  return entries.flatMap((entry, idx) => (tree[idx].parent === null ? [nest(idx)] : []));
+}
+
+// Renders the chapters one at a time. Each yielded chapter is final and can
+// be written out and dropped before the next is rendered. Yields follow
+// reading order, except that a folder index (nested split output) comes after
+// its children, whose output it lists.
+function* renderChapters(book, options = {}, imageHandling = imageSettings(book, options), plan = planChapters(book, options)) {
+  const {
+    onProgress,
+    split = false,
+    nested = false,
+    internalLinks = false,
+    frontMatter = false,
+    keepBlocks = false,
+  } = options;
+  const { format, titles, tree, folders, fileNames, rules } = plan;
+  const { archive, opfDir } = book;
+  const total = book.chapters.length;
+  const footnotes = createFootnoteRegistry(plan.notes);
+  // Flat split files all start at `#`; otherwise headings follow the nesting.
+  const headingOffset = (idx) => (split && !nested ? 0 : tree[idx].level - 1);
+  const resolveLink = internalLinks ? plan.linkMap : null;
+  // Folder indexes wait here for their children; `hasOutput` is all that is
+  // kept of chapters already handed out.
+  const waiting = new Map();
+  const hasOutput = [];
+  // Heading ids in the order lib/links.js assigns them: per file when split,
+  // after the table of contents title in a single file.
+  let slug = createSlugger();
+  if (!split && plan.contentsTitle) slug(plan.contentsTitle);
+
+  // Chapters with no content of their own are left out of the output, except
+  // folder indexes, which still list their children.
+  function finish(index, chapter, blocks, noteGroups) {
+    const dir = path.posix.dirname(chapter.fileName);
+    const listing = folders
+      ? tree[index].children
+        .filter((child) => hasOutput[child])
+        .map((child) => ({ title: titles[child], href: path.posix.relative(dir, fileNames[child]) }))
+      : [];
+    if (blocks.length || listing.length) {
+      if (split) slug = createSlugger();
+      chapter.content = format.renderChapter({
+        index: chapter.index,
+        fileName: chapter.fileName,
+        type: chapter.type,
+        title: chapter.title,
+        level: Math.min(6, headingOffset(index) + 1),
+        blocks,
+        noteGroups,
+        listing,
+        slug,
+      });
+      if (format.name === 'markdown') chapter.markdown = chapter.content;
+    }
+    // The chunker (lib/chunk.js) works from the structure, not the text.
+    if (keepBlocks) Object.assign(chapter, { blocks, noteGroups });
+    hasOutput[index] = Boolean(chapter.content);
+    return chapter;
+  }
+
+  for (let index = 0; index < total; index += 1) {
+    const chapter = book.chapters[index];
+    const fileName = fileNames[index];
+    const images = [];
+    const upToRoot = '../'.repeat(fileName.split('/').length - 1);
+    const rewriteImageSrc = (src, ctx) => {
+      const baseDir = ctx.baseDir || opfDir;
+      const entryName = resolveHref(baseDir, src).filePath;
+      if (entryName.startsWith('..') || !archive.has(entryName)) return src;
+      const target = imageHandling.target(entryName);
+      if (!images.some((image) => image.path === entryName)) {
+        images.push({ path: entryName, target });
+      }
+      if (imageHandling.policy === 'inline') {
+        try {
+          return imageHandling.dataUri(entryName);
+        } catch (err) {
+          return src;
+        }
+      }
+      return target ? encodeLinkPath(`${upToRoot}${target}`) : src;
+    };
+    const renderOptions = {
+      rewriteImageSrc,
+      imagePolicy: imageHandling.policy,
+      rules,
+      footnotes,
+      resolveLink: resolveLink ? (filePath, fragment) => resolveLink(fileName, filePath, fragment) : null,
+      headingOffset: headingOffset(index),
+      // Chunks point at the nearest element id (lib/chunk.js).
+      lastAnchor: keepBlocks ? { id: null } : null,
+    };
+
+    const blocks = chapterBlocks(book, chapter, renderOptions);
+
+    // Notes go at the end of the chapter that references them; notes that
+    // cite other notes pull those in too. Split files each stand alone.
+    const noteGroups = [];
+    const emitted = [];
+    let pending = footnotes.takeChapterNotes({ repeat: split });
+    while (pending.length) {
+      const fresh = pending.filter((note) => !emitted.includes(note.label));
+      emitted.push(...fresh.map((note) => note.label));
+      if (fresh.length) {
+        noteGroups.push(fresh.map((note) => ({ label: note.label, blocks: noteToBlocks(note, renderOptions) })));
+      }
+      pending = footnotes.takeChapterNotes({ repeat: split });
+    }
+
+    const rendered = {
+      index: index + 1,
+      label: chapter.label,
+      title: titles[index],
+      fileName,
+      level: tree[index].level,
+      type: chapter.type,
+      matter: chapter.matter,
+      frontMatter: frontMatter
+        ? format.frontMatter(book.metadata, { index: index + 1, title: titles[index], type: chapter.type })
+        : null,
+      content: '',
+      markdown: '',
+      images,
+      footnotes: emitted,
+      filePath: chapter.filePath,
+      fragment: chapter.fragment,
+    };
+    if (onProgress) onProgress(index + 1, total);
+
+    if (folders && tree[index].children.length) {
+      waiting.set(index, { rendered, blocks, noteGroups });
+      continue;
+    }
+    yield finish(index, rendered, blocks, noteGroups);
+    // The last child of a folder completes it (and maybe its parents).
+    let current = index;
+    let { parent } = tree[current];
+    while (parent !== null && waiting.has(parent) && tree[parent].children[tree[parent].children.length - 1] === current) {
+      const folder = waiting.get(parent);
+      waiting.delete(parent);
+      yield finish(parent, folder.rendered, folder.blocks, folder.noteGroups);
+      current = parent;
+      ({ parent } = tree[current]);
+    }
+  }
+}
+
+// Like convertBook(), but `chapters` is the lazy renderChapters() iterator;
+// write each chapter as it arrives to keep memory flat.
+// With `toc`, `contents` is the rendered table of contents (null if it came
+// out empty): the start of a single file, or the `contentsFile` of a split
+// folder.
+function streamBook(book, options = {}) {
+  const imageHandling = imageSettings(book, options);
+  const plan = planChapters(book, options);
+  const { format } = plan;
+  const entries = options.toc ? contentsEntries(book, plan) : [];
+  return {
+    format,
+    metadata: book.metadata,
+    frontMatter: options.frontMatter ? format.frontMatter(book.metadata) : null,
+    contents: entries.length ? format.renderToc(entries, { title: plan.contentsTitle, slug: createSlugger() }) : null,
+    contentsTitle: plan.contentsTitle,
+    contentsFile: plan.contentsFile,
+    toc: book.toc,
+    cover: imageHandling.cover,
+    chapters: renderChapters(book, options, imageHandling, plan),
+    warnings: book.warnings,
+    archive: book.archive,
+  };
+}
+
+function convertBook(book, options = {}) {
+  const streamed = streamBook(book, options);
+  const chapters = Array.from(streamed.chapters).sort((a, b) => a.index - b.index);
+  return { ...streamed, chapters };
+}
+
+function convertEpub(input, options = {}) {
+  return convertBook(openEpub(input, options), options);
+}
+
+// The renditions of the book at `input`, for choosing one with `rendition`.
+function listRenditions(input) {
+  return readRenditions(openArchive(input));
+}
+
+module.exports = {
+  IMAGE_POLICIES,
+  openEpub,
+  readRenditions,
+  pickRendition,
+  listRenditions,
+  streamBook,
+  convertBook,
+  convertEpub,
+  slugifyTitle,
+};
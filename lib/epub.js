@@ -0,0 +1,381 @@
+/**
+ * EPUB package parsing: container.xml and its renditions, the OPF manifest and spine, the
+ * EPUB3 navigation document and the EPUB2 NCX table of contents, plus helpers for resolving hrefs inside the
+ * archive and locating fragment anchors in content documents.
+ *
+ * Chapters are classified (cover, titlepage, copyright, toc, bodymatter,
+ * index…) from the `epub:type` or `role="doc-*"` of the elements they open
+ * with, the EPUB3 landmarks nav and the EPUB2 `<guide>`, in that order of
+ * preference; see classifyChapters().
+ */
+
+const path = require('node:path');
+const { attrFromTag, stripTags } = require('./text');
+const { parseAttributes } = require('./html');
+
+// Every package document container.xml lists, in order. A book with several
+// renditions (reflowable and fixed-layout, or one per language) describes
+// them with `rendition:*` attributes on the rootfiles.
+function parseRootfiles(containerXml) {
+  return (containerXml.match(/<(?:\w+:)?rootfile\b[^>]*>/gi) || [])
+    .map((tag) => ({
+      path: attrFromTag(tag, 'full-path'),
+      mediaType: attrFromTag(tag, 'media-type'),
+      label: attrFromTag(tag, 'rendition:label'),
+      language: attrFromTag(tag, 'rendition:language'),
+      layout: attrFromTag(tag, 'rendition:layout'),
+      media: attrFromTag(tag, 'rendition:media'),
+      accessMode: attrFromTag(tag, 'rendition:accessMode'),
+    }))
+    .filter((rootfile) => rootfile.path && (!rootfile.mediaType || /oebps-package/i.test(rootfile.mediaType)));
+}
+
+function extractRootfile(containerXml) {
+  const [first] = parseRootfiles(containerXml);
+  return first ? first.path : null;
+}
+
+function parseManifest(opfText) {
+  const manifest = {};
+  const itemRegex = /<item\b[^>]*?>/gi;
+
+  const tags = opfText.match(itemRegex) || [];
+  for (const tag of tags) {
+    const id = attrFromTag(tag, 'id');
+    const href = attrFromTag(tag, 'href');
+    const mediaType = attrFromTag(tag, 'media-type');
+    const properties = attrFromTag(tag, 'properties');
+    const mediaOverlay = attrFromTag(tag, 'media-overlay');
+    if (id && href) {
+      manifest[id] = { href, mediaType, properties, mediaOverlay };
+    }
+  }
+  return manifest;
+}
+
+function parseSpine(opfText) {
+  const spine = [];
+  const spineRegex = /<itemref\b[^>]*?>/gi;
+  const tags = opfText.match(spineRegex) || [];
+  for (const tag of tags) {
+    const idref = attrFromTag(tag, 'idref');
+    if (idref) spine.push(idref);
+  }
+  return spine;
+}
+
+// Itemref `properties` by idref (page-spread-left, rendition:layout-pre-paginated…).
+function parseSpineProperties(opfText) {
+  const properties = new Map();
+  for (const tag of opfText.match(/<itemref\b[^>]*?>/gi) || []) {
+    const idref = attrFromTag(tag, 'idref');
+    if (idref && !properties.has(idref)) properties.set(idref, attrFromTag(tag, 'properties') || '');
+  }
+  return properties;
+}
+
+function findNavItem(manifest) {
+  const entries = Object.values(manifest);
+  for (const item of entries) {
+    if (item.properties && item.properties.split(/\s+/).includes('nav')) {
+      return item;
+    }
+  }
+  return null;
+}
+
+function parseNavHtml(navHtml) {
+  // Try to scope to the main TOC nav if present.
+  const navMatch = navHtml.match(/<nav[^>]*?(epub:type="toc"[^>]*|role="doc-toc"[^>]*)>[\s\S]*?<\/nav>/i);
+  const tocHtml = navMatch ? navMatch[0] : navHtml;
+  const links = [];
+  const tokenRegex = /<\/?ol[^>]*>|<\/?li[^>]*>|<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi;
+  let depth = 0;
+  let match;
+  while ((match = tokenRegex.exec(tocHtml)) !== null) {
+    const [token, href, labelRaw] = match;
+    if (/^<ol/i.test(token)) {
+      depth += 1;
+    } else if (/^<\/ol/i.test(token)) {
+      depth = Math.max(0, depth - 1);
+    } else if (/^<a/i.test(token)) {
+      const label = stripTags(labelRaw);
+      if (href) {
+        links.push({ href, label: label || href, depth });
+      }
+    }
+  }
+  return links;
+}
+
+// The landmarks nav: [{ href, type, label }].
+function parseLandmarks(navHtml) {
+  const navMatch = navHtml.match(/<nav[^>]*?epub:type="landmarks"[^>]*>[\s\S]*?<\/nav>/i);
+  if (!navMatch) return [];
+  const landmarks = [];
+  for (const [, tag, labelRaw] of navMatch[0].matchAll(/(<a\b[^>]*>)([\s\S]*?)<\/a>/gi)) {
+    const href = attrFromTag(tag, 'href');
+    const type = attrFromTag(tag, 'epub:type');
+    if (href && type) landmarks.push({ href, type, label: stripTags(labelRaw) });
+  }
+  return landmarks;
+}
+
+// EPUB2 `<guide>` references: [{ href, type, label }].
+function parseGuide(opfText) {
+  const guide = opfText.match(/<guide\b[^>]*>([\s\S]*?)<\/guide>/i);
+  if (!guide) return [];
+  return (guide[1].match(/<reference\b[^>]*>/gi) || [])
+    .map((tag) => ({ href: attrFromTag(tag, 'href'), type: attrFromTag(tag, 'type'), label: attrFromTag(tag, 'title') }))
+    .filter((reference) => reference.href && reference.type);
+}
+
+function findNcxItem(manifest, opfText) {
+  // EPUB2 points at the NCX from the spine; fall back to its media type.
+  const spineTag = opfText.match(/<spine\b[^>]*>/i);
+  const tocId = spineTag ? attrFromTag(spineTag[0], 'toc') : null;
+  if (tocId && manifest[tocId]) return manifest[tocId];
+  const entries = Object.values(manifest);
+  return entries.find((item) => (item.mediaType || '').toLowerCase() === 'application/x-dtbncx+xml') || null;
+}
+
+function parseNcx(ncxText) {
+  const navMap = ncxText.match(/<(?:\w+:)?navMap\b[^>]*>([\s\S]*?)<\/(?:\w+:)?navMap>/i);
+  const source = navMap ? navMap[1] : ncxText;
+  const entries = [];
+  const stack = [];
+  const tokenRegex = /<(?:\w+:)?navPoint\b([^>]*)>|<\/(?:\w+:)?navPoint\s*>|<(?:\w+:)?text\b[^>]*>([\s\S]*?)<\/(?:\w+:)?text>|<(?:\w+:)?content\b([^>]*?)\/?>/gi;
+  let match;
+  while ((match = tokenRegex.exec(source)) !== null) {
+    const [token, pointAttrs, labelRaw, contentAttrs] = match;
+    const current = stack[stack.length - 1];
+    if (pointAttrs !== undefined) {
+      const playOrder = parseInt(attrFromTag(`<${pointAttrs}>`, 'playOrder'), 10);
+      const entry = { href: null, label: null, depth: stack.length + 1, playOrder: Number.isFinite(playOrder) ? playOrder : null };
+      entries.push(entry);
+      stack.push(entry);
+    } else if (/^<\//.test(token)) {
+      stack.pop();
+    } else if (labelRaw !== undefined) {
+      // The first <text> inside a navPoint is its navLabel.
+      if (current && current.label === null) current.label = stripTags(labelRaw);
+    } else if (contentAttrs !== undefined) {
+      if (current && !current.href) current.href = attrFromTag(`<${contentAttrs}>`, 'src');
+    }
+  }
+  // Reading order is playOrder when every point has one; the sort is stable so
+  // ties keep document order.
+  if (entries.every((entry) => entry.playOrder !== null)) {
+    entries.sort((a, b) => a.playOrder - b.playOrder);
+  }
+  return entries
+    .filter((entry) => entry.href)
+    .map((entry) => ({ ...entry, label: entry.label || entry.href }));
+}
+
+function decodeHrefPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (err) {
+    return part;
+  }
+}
+
+// Archive entry names always use forward slashes, so resolve with path.posix.
+function resolveHref(baseDir, href) {
+  const [filePart, fragment] = href.split('#');
+  const filePath = path.posix.normalize(path.posix.join(baseDir, decodeHrefPart(filePart || '')));
+  return { filePath, fragment: fragment ? decodeHrefPart(fragment) : null };
+}
+
+function findAnchorPosition(html, anchor) {
+  if (!anchor) return 0;
+  const escaped = anchor.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+  const patterns = [
+    new RegExp(`(?<=[\\s"'])id\\s*=\\s*["']${escaped}["']`, 'i'),
+    new RegExp(`(?<=[\\s"'])name\\s*=\\s*["']${escaped}["']`, 'i'),
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(html);
+    if (match) {
+      const tagStart = html.lastIndexOf('<', match.index);
+      const start = tagStart !== -1 ? tagStart : match.index;
+      // If this anchor sits inside a heading, back up to the heading start so we keep the full tag.
+      const searchStart = Math.max(0, start - 500);
+      const segment = html.slice(searchStart, start);
+      const headingRegex = /<h[1-6][^>]*>/gi;
+      let headingStart = null;
+      let hm;
+      while ((hm = headingRegex.exec(segment)) !== null) {
+        headingStart = hm.index + searchStart;
+      }
+      // Only if that heading is still open; a closed one belongs to the previous section.
+      if (headingStart !== null && /<\/h[1-6]\s*>/i.test(html.slice(headingStart, start))) {
+        headingStart = null;
+      }
+      return headingStart !== null ? headingStart : start;
+    }
+  }
+  return null;
+}
+
+// Chapter types, in rough reading order, and the part of the book each one
+// belongs to. Types that can sit on either side of the body (`null`) count as
+// front matter before the first body chapter and as back matter after it.
+const CHAPTER_TYPES = {
+  cover: 'front',
+  titlepage: 'front',
+  copyright: 'front',
+  dedication: 'front',
+  epigraph: 'front',
+  toc: 'front',
+  foreword: 'front',
+  preface: 'front',
+  frontmatter: 'front',
+  acknowledgments: null,
+  seriespage: null,
+  contributors: null,
+  introduction: 'body',
+  prologue: 'body',
+  bodymatter: 'body',
+  epilogue: 'body',
+  afterword: 'body',
+  conclusion: 'body',
+  appendix: 'back',
+  notes: 'back',
+  glossary: 'back',
+  bibliography: 'back',
+  index: 'back',
+  colophon: 'back',
+  backmatter: 'back',
+};
+
+// Other names for the same types: EPUB 3 structural semantics, DPUB-ARIA
+// roles (without `doc-`) and EPUB2 guide types.
+const TYPE_ALIASES = {
+  'copyright-page': 'copyright',
+  'title-page': 'titlepage',
+  halftitlepage: 'titlepage',
+  acknowledgements: 'acknowledgments',
+  credits: 'contributors',
+  'other-credits': 'contributors',
+  endnotes: 'notes',
+  rearnotes: 'notes',
+  footnotes: 'notes',
+  text: 'bodymatter',
+  chapter: 'bodymatter',
+  part: 'bodymatter',
+  division: 'bodymatter',
+  volume: 'bodymatter',
+};
+
+// Chapter titles that give the type away when the markup doesn't.
+const TITLE_TYPES = [
+  [/^cover$/i, 'cover'],
+  [/^(half[ -]?)?title page$/i, 'titlepage'],
+  [/^copyright( page)?$/i, 'copyright'],
+  [/^dedication$/i, 'dedication'],
+  [/^(table of )?contents$/i, 'toc'],
+  [/^acknowledge?ments$/i, 'acknowledgments'],
+  [/^(also by|other (books|titles) by|by the same author)\b/i, 'seriespage'],
+  [/^index$/i, 'index'],
+];
+
+// The most specific known type among `epub:type`/`role` tokens, or null.
+function chapterType(tokens) {
+  const types = tokens
+    .map((token) => token.toLowerCase().replace(/^doc-/, ''))
+    .map((token) => TYPE_ALIASES[token] || token)
+    .filter((type) => Object.prototype.hasOwnProperty.call(CHAPTER_TYPES, type));
+  const generic = ['frontmatter', 'bodymatter', 'backmatter'];
+  return types.find((type) => !generic.includes(type)) || types[0] || null;
+}
+
+// `epub:type` and `role` tokens of the elements a chapter opens with: the
+// element at `start` (or `<body>` for a whole file), the wrappers just before
+// it and everything up to the first text.
+function openingTypes(html, start) {
+  const tokens = [];
+  const collect = (tag) => {
+    const attrs = parseAttributes(tag.replace(/^<[^\s/>]*|\/?>$/g, ''));
+    tokens.push(...(attrs['epub:type'] || '').split(/\s+/).filter(Boolean));
+    tokens.push(...(attrs.role || '').split(/\s+/).filter(Boolean));
+  };
+  const body = html.search(/<body\b/i);
+  const from = start === 0 && body !== -1 ? body : start;
+  const before = html.slice(Math.max(0, from - 500), from).match(/(?:<(?:section|article|div|body)\b[^>]*>\s*)+$/i);
+  if (before) (before[0].match(/<[^>]+>/g) || []).forEach(collect);
+  const opening = /\s*(<[a-zA-Z][^>]*>)/y;
+  opening.lastIndex = from;
+  let match;
+  while ((match = opening.exec(html)) !== null) collect(match[1]);
+  return tokens;
+}
+
+// Sets `type` and `matter` ('front' | 'body' | 'back') on every chapter.
+// sources: { read(filePath) -> html, landmarks, guide }, with landmark and
+// guide hrefs already resolved to { filePath, fragment, type }. A chapter
+// nothing says anything about takes its TOC parent's type, then a type its
+// title gives away; failing that it is front matter before the book's start
+// (the `bodymatter` landmark, or guide `text`) and body matter after it.
+function classifyChapters(chapters, { read, landmarks = [], guide = [] }) {
+  // A landmark that isn't a chapter start stands for the first chapter in its file.
+  const findChapter = (target) => chapters.find((chapter) => chapter.filePath === target.filePath && chapter.fragment === target.fragment)
+    || chapters.find((chapter) => chapter.filePath === target.filePath);
+  const declared = new Map();
+  for (const entry of [...guide, ...landmarks]) {
+    const chapter = findChapter(entry);
+    const type = chapterType(entry.type.split(/\s+/));
+    if (chapter && type) declared.set(chapter, type);
+  }
+
+  let html = null;
+  let htmlPath = null;
+  const explicit = chapters.map((chapter) => {
+    if (htmlPath !== chapter.filePath) {
+      htmlPath = chapter.filePath;
+      html = read(chapter.filePath);
+    }
+    const start = html === null ? null : findAnchorPosition(html, chapter.fragment);
+    const fromMarkup = start === null ? null : chapterType(openingTypes(html, start));
+    return fromMarkup || declared.get(chapter) || null;
+  });
+
+  const bodyStart = chapters.findIndex((chapter, idx) => explicit[idx] === 'bodymatter');
+  const parents = [];
+  chapters.forEach((chapter, idx) => {
+    const depth = chapter.depth || 1;
+    while (parents.length && (parents[parents.length - 1].depth || 1) >= depth) parents.pop();
+    const parent = parents[parents.length - 1];
+    const byTitle = TITLE_TYPES.find(([pattern]) => pattern.test((chapter.label || '').trim()));
+    chapter.type = explicit[idx]
+      || (parent && parent.type !== 'bodymatter' ? parent.type : null)
+      || (byTitle ? byTitle[1] : null)
+      || (bodyStart !== -1 && idx < bodyStart ? 'frontmatter' : 'bodymatter');
+    parents.push(chapter);
+  });
+
+  const firstBody = chapters.findIndex((chapter) => CHAPTER_TYPES[chapter.type] === 'body');
+  chapters.forEach((chapter, idx) => {
+    chapter.matter = CHAPTER_TYPES[chapter.type] || (firstBody === -1 || idx < firstBody ? 'front' : 'back');
+  });
+  return chapters;
+}
+
+module.exports = {
+  CHAPTER_TYPES,
+  parseRootfiles,
+  extractRootfile,
+  parseManifest,
+  parseSpine,
+  parseSpineProperties,
+  findNavItem,
+  parseNavHtml,
+  parseLandmarks,
+  parseGuide,
+  findNcxItem,
+  parseNcx,
+  resolveHref,
+  findAnchorPosition,
+  classifyChapters,
+};
@@ -0,0 +1,32 @@
+/**
+ * Error type thrown by the conversion API.
+ *
+ * Every failure that used to end the CLI with `process.exit(1)` surfaces as an
+ * EpubError carrying a stable `code`, so callers can branch on the cause
+ * without parsing messages.
+ */
+
+class EpubError extends Error {
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'EpubError';
+    this.code = code;
+  }
+}
+
+const ErrorCodes = Object.freeze({
+  INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+  INVALID_ARCHIVE: 'INVALID_ARCHIVE',
+  MISSING_CONTAINER: 'MISSING_CONTAINER',
+  MISSING_ROOTFILE: 'MISSING_ROOTFILE',
+  RENDITION_NOT_FOUND: 'RENDITION_NOT_FOUND',
+  UNREADABLE_ENTRY: 'UNREADABLE_ENTRY',
+  EMPTY_SPINE: 'EMPTY_SPINE',
+  NO_HTML_CONTENT: 'NO_HTML_CONTENT',
+  NO_CHAPTERS: 'NO_CHAPTERS',
+});
+
+module.exports = {
+  EpubError,
+  ErrorCodes,
+};
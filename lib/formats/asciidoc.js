@@ -0,0 +1,279 @@
+/**
+ * AsciiDoc renderer. Chapter titles are level 1 sections (`==`) and body
+ * headings follow below them; every heading gets an explicit `[[id]]` using
+ * the same slugs as the Markdown output, so internal links become `<<id,label>>`
+ * (same file) or `link:file.adoc#id[label]` (split output). Lists use `*` /
+ * `.` markers with `+` continuations, tables are `|===` blocks, code blocks
+ * are `[source]` listings, and footnote references point at `[[fn-n]]`
+ * anchors in a notes list at the end of the chapter.
+ */
+
+const { normalizeInline, headingText } = require('../ir');
+
+// Characters that could start inline formatting. `_` and `#` only matter at
+// a word boundary, where they can open or close constrained markup.
+const ATTRIBUTE_ESCAPES = { '*': '{asterisk}', '`': '{backtick}', '^': '{caret}', '~': '{tilde}' };
+
+function escapeText(text) {
+  return text
+    .replace(/[*`^~]/g, (char) => ATTRIBUTE_ESCAPES[char])
+    .replace(/(?<![\p{L}\p{N}])[_#]|[_#](?![\p{L}\p{N}])/gu, (char) => `pass:[${char}]`);
+}
+
+// Keep paragraph lines from being read as titles, list items, block
+// attributes, comments or delimiters.
+function escapeLineStarts(text) {
+  return text
+    .split('\n')
+    .map((line) => (/^(=|\.|-|\[|\/\/|\||:|\d+\.\s|'''|\+)/.test(line) ? `{empty}${line}` : line))
+    .join('\n');
+}
+
+function encodeLinkPath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Macro targets and bracketed text can't contain a raw `]`.
+function macroText(text) {
+  return text.replace(/]/g, '\\]');
+}
+
+// Alt text is the first positional attribute, so commas need quoting.
+function imageMacro(colons, node) {
+  return `image${colons}${node.src.replace(/ /g, '%20')}["${macroText(node.alt).replace(/"/g, '\\"')}"]`;
+}
+
+function renderLink(node) {
+  const label = macroText(renderInline(node.children));
+  if (node.internal && node.href.startsWith('#')) return `<<${node.href.slice(1)},${label}>>`;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(node.href) && !/^(link|mailto):/i.test(node.href)) return `${node.href}[${label}]`;
+  return `link:${node.href.replace(/ /g, '%20')}[${label}]`;
+}
+
+function renderInline(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return escapeText(node.text);
+      case 'break':
+        return ' +\n';
+      case 'emphasis':
+        return `__${renderInline(node.children)}__`;
+      case 'strong':
+        return `**${renderInline(node.children)}**`;
+      case 'code':
+        return `\`pass:c[${macroText(node.text)}]\``;
+      case 'sup':
+        return `^${renderInline(node.children)}^`;
+      case 'sub':
+        return `~${renderInline(node.children)}~`;
+      case 'link':
+        return renderLink(node);
+      case 'image':
+        return imageMacro(':', node);
+      case 'footnoteRef':
+        return `^<<fn-${node.label},[${node.label}]>>^`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function inline(nodes) {
+  return renderInline(normalizeInline(nodes));
+}
+
+function line(nodes) {
+  return inline(nodes).replace(/ \+\n/g, ' ');
+}
+
+function heading(level, text, id) {
+  const title = `${'='.repeat(Math.min(6, level + 1))} ${text}`;
+  return id ? `[[${id}]]\n${title}` : title;
+}
+
+// Joins the blocks of a list item or definition: the first block follows the
+// marker, later ones are attached with `+` continuation lines.
+function attachBlocks(blocks, ctx, depth) {
+  const rendered = blocks
+    .map((block) => ({
+      nestedList: block.type === 'list',
+      text: block.type === 'list' ? renderList(block, ctx, depth + 1) : renderBlock(block, ctx),
+    }))
+    .filter((part) => part.text);
+  return rendered.reduce((acc, { nestedList, text }, idx) => {
+    if (idx === 0) return text;
+    return `${acc}\n${nestedList ? '' : '+\n'}${text}`;
+  }, '');
+}
+
+function renderList(block, ctx, depth = 1) {
+  const marker = (block.ordered ? '.' : '*').repeat(Math.min(5, depth));
+  const items = block.items.map(({ blocks }) => `${marker} ${attachBlocks(blocks, ctx, depth)}`);
+  const start = block.ordered && block.start !== 1 ? `[start=${block.start}]\n` : '';
+  return `${start}${items.join('\n')}`;
+}
+
+function renderTable(block, ctx) {
+  const lines = [];
+  if (block.caption) lines.push(`.${line(block.caption)}`);
+  const hasHeader = block.rows.some((row) => row.section === 'thead');
+  const columns = Math.max(1, ...block.rows.map((row) => row.cells.reduce((sum, cell) => sum + cell.colspan, 0)));
+  lines.push(`[cols="${columns}*"${hasHeader ? ',options="header"' : ''}]`, '|===');
+  const ordered = [
+    ...block.rows.filter((row) => row.section === 'thead'),
+    ...block.rows.filter((row) => row.section !== 'thead'),
+  ];
+  for (const row of ordered) {
+    const cells = row.cells.map((cell) => {
+      const colspan = cell.colspan > 1 ? String(cell.colspan) : '';
+      const rowspan = cell.rowspan > 1 ? `.${cell.rowspan}` : '';
+      const spec = colspan || rowspan ? `${colspan}${rowspan}+` : '';
+      const text = cell.blocks
+        .map((cellBlock) => (cellBlock.content ? line(cellBlock.content) : renderBlock(cellBlock, ctx)))
+        .join(' ')
+        .replace(/\|/g, '{vbar}')
+        .replace(/\n/g, ' ');
+      return `${spec}| ${text}`;
+    });
+    lines.push(cells.join(' '));
+  }
+  lines.push('|===');
+  return lines.join('\n');
+}
+
+function renderBlock(block, ctx) {
+  switch (block.type) {
+    case 'paragraph':
+      return escapeLineStarts(inline(block.content));
+    case 'heading': {
+      const text = headingText(block.content);
+      return heading(block.level, line(block.content), ctx.slug && text ? ctx.slug(text) : null);
+    }
+    case 'list':
+      return renderList(block, ctx);
+    case 'blockquote':
+      return ['____', renderBlockList(block.blocks, ctx).join('\n\n'), '____'].join('\n');
+    case 'code': {
+      const fence = block.text.split('\n').some((codeLine) => /^-{4,}$/.test(codeLine)) ? '......' : '----';
+      const attrs = fence === '----' ? `[source${block.language ? `,${block.language}` : ''}]\n` : '';
+      return `${attrs}${fence}\n${block.text}\n${fence}`;
+    }
+    case 'table':
+      return renderTable(block, ctx);
+    case 'definitions':
+      return block.groups.map((group) => [
+        ...group.terms.map((term) => `${line(term)}::`),
+        ...group.definitions.map((blocks) => attachBlocks(blocks, ctx, 1)),
+      ].join('\n')).join('\n\n');
+    case 'figure': {
+      const [first] = block.blocks;
+      const lone = block.blocks.length === 1 && first.type === 'paragraph'
+        && first.content.filter((node) => node.type !== 'text' || node.text.trim()).length === 1
+        && first.content.find((node) => node.type === 'image');
+      if (lone) {
+        const title = block.caption ? `.${line(block.caption)}\n` : '';
+        return `${title}${imageMacro('::', lone)}`;
+      }
+      const parts = renderBlockList(block.blocks, ctx);
+      if (block.caption) parts.push(`__${line(block.caption)}__`);
+      return parts.join('\n\n');
+    }
+    case 'rule':
+      return '\'\'\'';
+    default:
+      return '';
+  }
+}
+
+function renderBlockList(blocks, ctx) {
+  return blocks.map((block) => renderBlock(block, ctx)).filter(Boolean);
+}
+
+// options: { slug(text) } hands out heading ids.
+function renderBlocks(blocks, options = {}) {
+  return renderBlockList(blocks, options).join('\n\n');
+}
+
+function renderFootnotes(notes) {
+  return notes
+    .map(({ label, blocks }) => `[[fn-${label}]]^${label}^ ${attachBlocks(blocks, {}, 1)}`)
+    .join('\n\n');
+}
+
+function renderChapter({ title, level, blocks, noteGroups, listing, slug }) {
+  return [
+    heading(level, escapeText(title), slug ? slug(title) : null),
+    renderBlocks(blocks, { slug }),
+    listing.map((entry) => `* link:${encodeLinkPath(entry.href)}[${macroText(escapeText(entry.title))}]`).join('\n'),
+    ...noteGroups.map(renderFootnotes),
+  ].filter(Boolean).join('\n\n');
+}
+
+function renderTocList(entries, depth = 1) {
+  return entries.flatMap(({ title, href, children }) => [
+    `${'*'.repeat(depth)} ${renderLink({ href, internal: true, children: [{ type: 'text', text: title }] })}`,
+    ...renderTocList(children, depth + 1),
+  ]);
+}
+
+function renderToc(entries, { title, slug }) {
+  return [heading(1, escapeText(title), slug(title)), renderTocList(entries).join('\n')].join('\n\n');
+}
+
+function attributeValue(value) {
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Book details as document attributes; a single file also gets the
+// `= Title` document header with the authors on the line below it.
+function frontMatter(metadata, chapter = null) {
+  const lines = [];
+  if (!chapter) {
+    lines.push(`= ${metadata.title || 'Untitled'}`);
+    const authors = metadata.creators.map((creator) => creator.name).join('; ');
+    if (authors) lines.push(authors);
+  } else {
+    lines.push(`:book-title: ${attributeValue(metadata.title || '')}`, `:chapter-number: ${chapter.index}`);
+    if (chapter.type) lines.push(`:chapter-type: ${chapter.type}`);
+  }
+  const attributes = {
+    lang: metadata.language,
+    subtitle: metadata.subtitle,
+    identifier: metadata.identifier,
+    isbn: metadata.isbn,
+    publisher: metadata.publisher,
+    revdate: metadata.date,
+    keywords: metadata.subjects.join(', '),
+    description: metadata.description,
+    series: metadata.series ? metadata.series.name : null,
+    'series-index': metadata.series ? metadata.series.index : null,
+  };
+  const { rendition } = metadata;
+  if (rendition && rendition.layout === 'pre-paginated') {
+    Object.assign(attributes, {
+      layout: rendition.layout,
+      spread: rendition.spread,
+      viewport: rendition.viewport ? `${rendition.viewport.width}x${rendition.viewport.height}` : null,
+    });
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== null && value !== undefined && value !== '') lines.push(`:${name}: ${attributeValue(value)}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  name: 'asciidoc',
+  extension: '.adoc',
+  mediaType: 'text/asciidoc',
+  renderBlocks,
+  renderFootnotes,
+  renderChapter,
+  renderToc,
+  frontMatter,
+  documentStart: (result) => [result.frontMatter, result.contents].filter(Boolean).map((part) => `${part}\n\n`).join(''),
+  separator: '\n\n',
+  documentEnd: () => '',
+  chapterFile: (chapter) => [chapter.frontMatter, chapter.content].filter(Boolean).join('\n\n'),
+};
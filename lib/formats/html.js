@@ -0,0 +1,199 @@
+/**
+ * Clean semantic HTML renderer: one `<section>` per chapter with `<h1>`–`<h6>`
+ * headings (their ids are the same slugs the Markdown output gets, so
+ * internal links keep working), plain `<p>`, lists, tables, `<pre><code>`,
+ * `<dl>` and `<figure>`, and no classes or styles from the EPUB. Footnote
+ * references link to a `<dl role="doc-endnotes">` at the end of the chapter.
+ * Single-file output is a complete document; split output writes one
+ * complete document per chapter.
+ */
+
+const { normalizeInline, headingText } = require('../ir');
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function encodeLinkPath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+const INLINE_TAGS = { emphasis: 'em', strong: 'strong', sup: 'sup', sub: 'sub' };
+
+function renderInline(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.text);
+      case 'break':
+        return '<br>';
+      case 'code':
+        return `<code>${escapeHtml(node.text)}</code>`;
+      case 'link':
+        return `<a href="${escapeHtml(node.href)}">${renderInline(node.children)}</a>`;
+      case 'image':
+        return `<img src="${escapeHtml(node.src)}" alt="${escapeHtml(node.alt)}">`;
+      case 'footnoteRef':
+        return `<a href="#fn-${node.label}" role="doc-noteref"><sup>${node.label}</sup></a>`;
+      default: {
+        const tag = INLINE_TAGS[node.type];
+        return tag ? `<${tag}>${renderInline(node.children)}</${tag}>` : '';
+      }
+    }
+  }).join('');
+}
+
+function inline(nodes) {
+  return renderInline(normalizeInline(nodes));
+}
+
+function headingTag(level, content, id) {
+  const tag = `h${Math.min(6, level)}`;
+  return `<${tag}${id ? ` id="${escapeHtml(id)}"` : ''}>${content}</${tag}>`;
+}
+
+// A list item that is a single paragraph doesn't need the <p>.
+function renderItem(blocks, ctx) {
+  if (!blocks.length) return '';
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') return inline(blocks[0].content);
+  return `\n${renderBlockList(blocks, ctx).join('\n')}\n`;
+}
+
+function renderTable(block, ctx) {
+  const lines = ['<table>'];
+  if (block.caption) lines.push(`<caption>${inline(block.caption)}</caption>`);
+  const renderRow = (row) => {
+    const cells = row.cells.map((cell) => {
+      const tag = cell.header ? 'th' : 'td';
+      const spans = ['colspan', 'rowspan']
+        .filter((attr) => cell[attr] > 1)
+        .map((attr) => ` ${attr}="${cell[attr]}"`)
+        .join('');
+      return `<${tag}${spans}>${renderItem(cell.blocks, ctx)}</${tag}>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  };
+  for (const section of ['thead', 'tbody', 'tfoot']) {
+    const rows = block.rows.filter((row) => row.section === section);
+    if (!rows.length) continue;
+    lines.push(`<${section}>`, ...rows.map(renderRow), `</${section}>`);
+  }
+  lines.push('</table>');
+  return lines.join('\n');
+}
+
+function renderBlock(block, ctx) {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${inline(block.content)}</p>`;
+    case 'heading': {
+      const text = headingText(block.content);
+      return headingTag(block.level, inline(block.content), ctx.slug && text ? ctx.slug(text) : null);
+    }
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map(({ blocks }) => `<li>${renderItem(blocks, ctx)}</li>`);
+      return [`<${tag}${start}>`, ...items, `</${tag}>`].join('\n');
+    }
+    case 'blockquote':
+      return ['<blockquote>', ...renderBlockList(block.blocks, ctx), '</blockquote>'].join('\n');
+    case 'code': {
+      const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+      return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+    }
+    case 'table':
+      return renderTable(block, ctx);
+    case 'definitions': {
+      const lines = ['<dl>'];
+      for (const group of block.groups) {
+        lines.push(...group.terms.map((term) => `<dt>${inline(term)}</dt>`));
+        lines.push(...group.definitions.map((blocks) => `<dd>${renderItem(blocks, ctx)}</dd>`));
+      }
+      lines.push('</dl>');
+      return lines.join('\n');
+    }
+    case 'figure': {
+      const lines = ['<figure>', ...renderBlockList(block.blocks, ctx)];
+      if (block.caption) lines.push(`<figcaption>${inline(block.caption)}</figcaption>`);
+      lines.push('</figure>');
+      return lines.join('\n');
+    }
+    case 'rule':
+      return '<hr>';
+    default:
+      return '';
+  }
+}
+
+function renderBlockList(blocks, ctx) {
+  return blocks.map((block) => renderBlock(block, ctx)).filter(Boolean);
+}
+
+// options: { slug(text) } hands out heading ids.
+function renderBlocks(blocks, options = {}) {
+  return renderBlockList(blocks, options).join('\n');
+}
+
+function renderFootnotes(notes) {
+  const lines = ['<dl role="doc-endnotes">'];
+  for (const { label, blocks } of notes) {
+    lines.push(`<dt id="fn-${label}">${label}</dt>`, `<dd>${renderItem(blocks, {})}</dd>`);
+  }
+  lines.push('</dl>');
+  return lines.join('\n');
+}
+
+function renderChapter({ title, level, blocks, noteGroups, listing, slug }) {
+  const parts = [headingTag(level, escapeHtml(title), slug ? slug(title) : null)];
+  if (blocks.length) parts.push(renderBlocks(blocks, { slug }));
+  if (listing.length) {
+    const items = listing.map(({ title: childTitle, href }) => `<li><a href="${escapeHtml(encodeLinkPath(href))}">${escapeHtml(childTitle)}</a></li>`);
+    parts.push(['<ul>', ...items, '</ul>'].join('\n'));
+  }
+  parts.push(...noteGroups.map(renderFootnotes));
+  return ['<section>', ...parts, '</section>'].join('\n');
+}
+
+function renderTocList(entries) {
+  const items = entries.map(({ title, href, children }) => `<li><a href="${escapeHtml(href)}">${escapeHtml(title)}</a>`
+    + `${children.length ? `\n${renderTocList(children)}\n` : ''}</li>`);
+  return ['<ul>', ...items, '</ul>'].join('\n');
+}
+
+function renderToc(entries, { title, slug }) {
+  return ['<nav>', headingTag(1, escapeHtml(title), slug(title)), renderTocList(entries), '</nav>'].join('\n');
+}
+
+function documentHead(title, metadata) {
+  const lines = [
+    '<!DOCTYPE html>',
+    `<html${metadata.language ? ` lang="${escapeHtml(metadata.language)}"` : ''}>`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title || '')}</title>`,
+  ];
+  for (const creator of metadata.creators) {
+    lines.push(`<meta name="author" content="${escapeHtml(creator.name)}">`);
+  }
+  if (metadata.description) lines.push(`<meta name="description" content="${escapeHtml(metadata.description)}">`);
+  lines.push('</head>', '<body>');
+  return lines.join('\n');
+}
+
+const DOCUMENT_END = '</body>\n</html>';
+
+module.exports = {
+  name: 'html',
+  extension: '.html',
+  mediaType: 'text/html',
+  renderBlocks,
+  renderFootnotes,
+  renderChapter,
+  renderToc,
+  frontMatter: () => null,
+  documentStart: (result) => `${documentHead(result.metadata.title, result.metadata)}\n${result.contents ? `${result.contents}\n` : ''}`,
+  separator: '\n',
+  documentEnd: () => `\n${DOCUMENT_END}`,
+  chapterFile: (chapter, result) => [documentHead(chapter.title, result.metadata), chapter.content, DOCUMENT_END].join('\n'),
+};
@@ -0,0 +1,41 @@
+/**
+ * Output formats. Each one renders the intermediate representation from
+ * lib/ir.js and describes how its chapters are put together:
+ *
+ *   name, extension, mediaType           e.g. 'markdown', '.md', 'text/markdown'
+ *   renderBlocks(blocks, { slug })       a run of blocks
+ *   renderFootnotes(notes)               [{ label, blocks }] at a chapter end
+ *   renderChapter({ index, fileName, type, title, level, blocks, noteGroups,
+ *                   listing: [{ title, href }], slug })
+ *   renderToc(entries, { title, slug })  a table of contents; entries are
+ *                                        [{ title, href, children }] with
+ *                                        hrefs ready to use
+ *   frontMatter(metadata, chapter)       book details, or null if unsupported;
+ *                                        `chapter` is { index, title, type }
+ *   documentStart(result), separator, documentEnd(result)
+ *                                        wrapping for single-file output; starts
+ *                                        with `result.contents` if there is one
+ *   chapterFile(chapter, result)         one complete file in split output
+ *
+ * `slug(text)` hands out heading ids in the order lib/links.js does, so
+ * formats with anchors can match the link map.
+ */
+
+const FORMATS = {
+  markdown: require('./markdown'),
+  text: require('./text'),
+  html: require('./html'),
+  asciidoc: require('./asciidoc'),
+  json: require('./json'),
+};
+
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) throw new Error(`Unknown output format: ${name}`);
+  return format;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+};
@@ -0,0 +1,149 @@
+/**
+ * JSON renderer for tooling that wants structure rather than markup. Each
+ * chapter is an object with its index, type, title, level, output file name,
+ * its blocks and its footnotes; single-file output wraps them as
+ * `{ "metadata": ..., "chapters": [...] }` (with `contents`, the nested
+ * table of contents, when asked for) and split files get the same `metadata`
+ * key with --front-matter.
+ *
+ * Blocks keep the shape of the intermediate representation (lib/ir.js) except
+ * that inline content is flattened to `{ text, marks }`: `text` is the plain
+ * text and every mark is `{ type, start, end }` over it, plus `href` for
+ * links, `src`/`alt` for images and `label` for footnote references (the last
+ * two are zero-length marks at the point they occur). Headings carry the same
+ * `id` slugs the Markdown output uses.
+ */
+
+const { normalizeInline, headingText } = require('../ir');
+
+// Flattens inline nodes to plain text plus ranged marks.
+function flattenInline(nodes) {
+  let text = '';
+  const marks = [];
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.type === 'text') {
+        text += node.text;
+      } else if (node.type === 'break') {
+        text += '\n';
+      } else if (node.type === 'code') {
+        marks.push({ type: 'code', start: text.length, end: text.length + node.text.length });
+        text += node.text;
+      } else if (node.type === 'image') {
+        marks.push({ type: 'image', start: text.length, end: text.length, src: node.src, alt: node.alt });
+      } else if (node.type === 'footnoteRef') {
+        marks.push({ type: 'footnoteRef', start: text.length, end: text.length, label: node.label });
+      } else if (node.children) {
+        const mark = { type: node.type, start: text.length, end: 0 };
+        if (node.type === 'link') Object.assign(mark, { href: node.href, internal: node.internal });
+        marks.push(mark);
+        visit(node.children);
+        mark.end = text.length;
+      }
+    }
+  };
+  visit(normalizeInline(nodes));
+  return { text, marks };
+}
+
+function toJson(blocks, ctx) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'paragraph':
+        return { type: 'paragraph', ...flattenInline(block.content) };
+      case 'heading': {
+        const text = headingText(block.content);
+        return {
+          type: 'heading',
+          level: block.level,
+          id: ctx.slug && text ? ctx.slug(text) : null,
+          ...flattenInline(block.content),
+        };
+      }
+      case 'list':
+        return {
+          type: 'list',
+          ordered: block.ordered,
+          start: block.start,
+          items: block.items.map((item) => toJson(item.blocks, ctx)),
+        };
+      case 'blockquote':
+        return { type: 'blockquote', blocks: toJson(block.blocks, ctx) };
+      case 'table':
+        return {
+          type: 'table',
+          caption: block.caption ? flattenInline(block.caption) : null,
+          rows: block.rows.map((row) => ({
+            section: row.section,
+            cells: row.cells.map((cell) => ({
+              header: cell.header,
+              colspan: cell.colspan,
+              rowspan: cell.rowspan,
+              blocks: toJson(cell.blocks, ctx),
+            })),
+          })),
+        };
+      case 'definitions':
+        return {
+          type: 'definitions',
+          groups: block.groups.map((group) => ({
+            terms: group.terms.map(flattenInline),
+            definitions: group.definitions.map((definition) => toJson(definition, ctx)),
+          })),
+        };
+      case 'figure':
+        return {
+          type: 'figure',
+          blocks: toJson(block.blocks, ctx),
+          caption: block.caption ? flattenInline(block.caption) : null,
+        };
+      default:
+        return { ...block };
+    }
+  });
+}
+
+function renderBlocks(blocks, options = {}) {
+  return JSON.stringify(toJson(blocks, options));
+}
+
+function footnotesJson(notes) {
+  return notes.map(({ label, blocks }) => ({ label, blocks: toJson(blocks, {}) }));
+}
+
+function renderFootnotes(notes) {
+  return JSON.stringify(footnotesJson(notes));
+}
+
+function renderChapter({ index, fileName, type, title, level, blocks, noteGroups, listing, slug }) {
+  const chapter = {
+    index,
+    fileName,
+    type,
+    title,
+    level,
+    id: slug ? slug(title) : null,
+    blocks: toJson(blocks, { slug }),
+    footnotes: noteGroups.flatMap(footnotesJson),
+  };
+  if (listing.length) chapter.children = listing.map(({ title: childTitle, href }) => ({ title: childTitle, href }));
+  return JSON.stringify(chapter);
+}
+
+module.exports = {
+  name: 'json',
+  extension: '.json',
+  mediaType: 'application/json',
+  renderBlocks,
+  renderFootnotes,
+  renderChapter,
+  renderToc: (entries) => JSON.stringify(entries),
+  frontMatter: (metadata) => JSON.stringify(metadata),
+  documentStart: (result) => `{"metadata":${JSON.stringify(result.metadata)},`
+    + `${result.contents ? `"contents":${result.contents},` : ''}"chapters":[\n`,
+  separator: ',\n',
+  documentEnd: () => '\n]}',
+  chapterFile: (chapter) => (chapter.frontMatter
+    ? `{"metadata":${chapter.frontMatter},${chapter.content.slice(1)}`
+    : chapter.content),
+};
@@ -0,0 +1,284 @@
+/**
+ * Markdown renderer (the default format).
+ *
+ * Block elements become Markdown blocks separated by blank lines. Nested lists
+ * are indented under their parent item, ordered lists keep their numbering and
+ * every line of a blockquote gets its `>` prefix. Tables become GFM pipe
+ * tables (or plain HTML when cells span rows/columns), code blocks are fenced
+ * with their whitespace intact, and definition lists use the `Term` /
+ * `: definition` form. Footnotes are `[^n]` references with `[^n]: ...`
+ * definitions at the end of the chapter.
+ */
+
+const { plainText } = require('../ir');
+const { renderFrontMatter } = require('../metadata');
+
+// Characters that would otherwise start emphasis, code, links, inline HTML
+// or character references.
+function escapeText(text) {
+  return text.replace(/[\\`*_[\]<&]/g, '\\$&');
+}
+
+// Keep paragraph lines from being read as headings, quotes or list items.
+function escapeLineStarts(text) {
+  return text
+    .split('\n')
+    .map((line) => {
+      if (/^(#{1,6}(\s|$)|>|[-+](\s|$))/.test(line)) return `\\${line}`;
+      return line.replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+    })
+    .join('\n');
+}
+
+// Collapse the whitespace of an inline run; explicit <br> newlines survive.
+function finishInline(text) {
+  return text
+    .replace(/ *\n */g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .replace(/^\n+|\n+$/g, '')
+    .trim();
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function wrapInline(marker, inner) {
+  if (!inner.trim()) return inner;
+  const lead = /^\s/.test(inner) ? ' ' : '';
+  const trail = /\s$/.test(inner) ? ' ' : '';
+  return `${lead}${marker}${inner.trim()}${marker}${trail}`;
+}
+
+function codeSpan(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function encodeLinkPath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function renderInline(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return escapeText(node.text);
+      case 'break':
+        return '\n';
+      case 'emphasis':
+        return wrapInline('*', renderInline(node.children));
+      case 'strong':
+        return wrapInline('**', renderInline(node.children));
+      case 'code':
+        return codeSpan(node.text);
+      case 'sup':
+      case 'sub':
+        return `<${node.type}>${renderInline(node.children).trim()}</${node.type}>`;
+      case 'link':
+        return `[${renderInline(node.children).trim()}](${node.href})`;
+      case 'image':
+        return `![${node.alt.replace(/[[\]]/g, '\\$&')}](${node.src})`;
+      case 'footnoteRef':
+        return `[^${node.label}]`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Inline content as a single line (headings, captions, terms).
+function renderLine(nodes) {
+  return finishInline(renderInline(nodes)).replace(/\n+/g, ' ');
+}
+
+function isListBlock(block) {
+  return /^(-|\d+\.) /.test(block);
+}
+
+function joinItemBlocks(blocks) {
+  return blocks.reduce((acc, block, idx) => {
+    if (idx === 0) return block;
+    return `${acc}${isListBlock(block) ? '\n' : '\n\n'}${block}`;
+  }, '');
+}
+
+function indentContinuation(text, width) {
+  const pad = ' '.repeat(width);
+  return text
+    .split('\n')
+    .map((line, idx) => (idx === 0 || !line ? line : `${pad}${line}`))
+    .join('\n');
+}
+
+function renderList(block) {
+  const rendered = block.items.map(({ blocks }, idx) => {
+    const marker = block.ordered ? `${block.start + idx}.` : '-';
+    const body = joinItemBlocks(renderBlockList(blocks));
+    return `${marker} ${indentContinuation(body, marker.length + 1)}`;
+  });
+  const loose = rendered.some((item) => /\n\n/.test(item));
+  return rendered.join(loose ? '\n\n' : '\n');
+}
+
+function renderCodeBlock(block) {
+  const longestRun = Math.max(0, ...(block.text.match(/`{3,}/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${block.language}\n${block.text}\n${fence}`;
+}
+
+function renderTableCell(cell) {
+  return renderBlockList(cell.blocks)
+    .join('<br>')
+    .replace(/\n/g, '<br>')
+    .replace(/\|/g, '\\|');
+}
+
+function cellText(cell) {
+  return cell.blocks
+    .map((block) => (block.content ? plainText(block.content) : ''))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function renderHtmlTable(rows, caption) {
+  const lines = ['<table>'];
+  if (caption) lines.push(`<caption>${escapeHtml(caption)}</caption>`);
+  for (const row of rows) {
+    const cells = row.cells.map((cell) => {
+      const tag = cell.header ? 'th' : 'td';
+      const spans = ['colspan', 'rowspan']
+        .filter((attr) => cell[attr] > 1)
+        .map((attr) => ` ${attr}="${cell[attr]}"`)
+        .join('');
+      return `<${tag}${spans}>${escapeHtml(cellText(cell))}</${tag}>`;
+    });
+    lines.push(`<tr>${cells.join('')}</tr>`);
+  }
+  lines.push('</table>');
+  return lines.join('\n');
+}
+
+function renderTable(block) {
+  const caption = block.caption ? renderLine(block.caption) : '';
+  const { rows } = block;
+  if (!rows.length) return caption ? [caption] : [];
+
+  // Pipe tables can't express spanning cells; fall back to plain HTML.
+  const spans = rows.some((row) => row.cells.some((cell) => cell.colspan > 1 || cell.rowspan > 1));
+  if (spans) return [renderHtmlTable(rows, caption)];
+
+  const headerIndex = Math.max(0, rows.findIndex((row) => row.section === 'thead'));
+  const ordered = [rows[headerIndex], ...rows.filter((_, idx) => idx !== headerIndex)];
+  const columns = Math.max(...ordered.map((row) => row.cells.length));
+  const toLine = (cells) => `| ${cells.join(' | ')} |`;
+  const lines = ordered.map((row) => {
+    const cells = row.cells.map(renderTableCell);
+    while (cells.length < columns) cells.push('');
+    return toLine(cells);
+  });
+  lines.splice(1, 0, toLine(new Array(columns).fill('---')));
+
+  const blocks = [];
+  if (caption) blocks.push(caption);
+  blocks.push(lines.join('\n'));
+  return blocks;
+}
+
+function renderDefinitions(block) {
+  return block.groups.map((group) => [
+    ...group.terms.map(renderLine),
+    ...group.definitions.map((blocks) => `: ${indentContinuation(renderBlockList(blocks).join('\n\n'), 2)}`),
+  ].join('\n'));
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'paragraph':
+      return [escapeLineStarts(finishInline(renderInline(block.content)))];
+    case 'heading':
+      return [`${'#'.repeat(block.level)} ${renderLine(block.content)}`];
+    case 'list':
+      return [renderList(block)];
+    case 'blockquote':
+      return [renderBlockList(block.blocks).join('\n\n').split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n')];
+    case 'code':
+      return [renderCodeBlock(block)];
+    case 'table':
+      return renderTable(block);
+    case 'definitions':
+      return renderDefinitions(block);
+    case 'figure': {
+      const blocks = renderBlockList(block.blocks);
+      if (block.caption) blocks.push(wrapInline('*', renderLine(block.caption)));
+      return blocks;
+    }
+    case 'rule':
+      return ['---'];
+    default:
+      return [];
+  }
+}
+
+// Two lists of the same kind in a row would read as one list; an empty HTML
+// comment keeps them apart.
+function renderBlockList(blocks) {
+  return blocks.flatMap((block, idx) => {
+    const previous = blocks[idx - 1];
+    const merges = block.type === 'list' && previous && previous.type === 'list' && previous.ordered === block.ordered;
+    return merges ? ['<!-- -->', ...renderBlock(block)] : renderBlock(block);
+  }).filter(Boolean);
+}
+
+function renderBlocks(blocks) {
+  return renderBlockList(blocks).join('\n\n').trim();
+}
+
+// notes: [{ label, blocks }]
+function renderFootnotes(notes) {
+  return notes
+    .map(({ label, blocks }) => `[^${label}]: ${indentContinuation(renderBlockList(blocks).join('\n\n'), 4)}`)
+    .join('\n');
+}
+
+function renderListing(entries) {
+  return entries.map(({ title, href }) => `- [${title}](${encodeLinkPath(href)})`).join('\n');
+}
+
+function renderTocList(entries, depth = 0) {
+  return entries.flatMap(({ title, href, children }) => [
+    `${'  '.repeat(depth)}- [${title}](${href})`,
+    ...renderTocList(children, depth + 1),
+  ]);
+}
+
+function renderToc(entries, { title }) {
+  return [`# ${title}`, renderTocList(entries).join('\n')].join('\n\n');
+}
+
+function renderChapter({ title, level, blocks, noteGroups, listing }) {
+  return [
+    `${'#'.repeat(level)} ${title}`,
+    renderBlocks(blocks),
+    listing.length ? renderListing(listing) : '',
+    ...noteGroups.map(renderFootnotes),
+  ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  name: 'markdown',
+  extension: '.md',
+  mediaType: 'text/markdown',
+  renderBlocks,
+  renderFootnotes,
+  renderChapter,
+  renderToc,
+  frontMatter: renderFrontMatter,
+  documentStart: (result) => [result.frontMatter, result.contents].filter(Boolean).map((part) => `${part}\n\n`).join(''),
+  separator: '\n\n',
+  documentEnd: () => '',
+  chapterFile: (chapter) => [chapter.frontMatter, chapter.content].filter(Boolean).join('\n\n'),
+};
@@ -0,0 +1,129 @@
+/**
+ * Plain text renderer for NLP and text-to-speech pipelines: no markup at
+ * all. Paragraphs are separated by blank lines, list items keep a `-` or
+ * number, quotes and definitions are indented, tables become tab-separated
+ * rows. Links keep only their label, images their alt text, and footnotes are
+ * `[n]` markers with the note texts at the end of the chapter.
+ */
+
+const { normalizeInline } = require('../ir');
+
+function renderInline(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+      case 'code':
+        return node.text;
+      case 'break':
+        return '\n';
+      case 'image':
+        return node.alt;
+      case 'footnoteRef':
+        return `[${node.label}]`;
+      default:
+        return node.children ? renderInline(node.children) : '';
+    }
+  }).join('');
+}
+
+function renderLine(nodes) {
+  return renderInline(normalizeInline(nodes)).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function indent(text, width) {
+  const pad = ' '.repeat(width);
+  return text.split('\n').map((line) => (line ? `${pad}${line}` : line)).join('\n');
+}
+
+function renderList(block) {
+  const rendered = block.items.map(({ blocks }, idx) => {
+    const marker = block.ordered ? `${block.start + idx}.` : '-';
+    const body = renderBlockList(blocks).join('\n');
+    return `${marker} ${indent(body, marker.length + 1).trimStart()}`;
+  });
+  return rendered.join('\n');
+}
+
+function renderTable(block) {
+  const lines = [];
+  if (block.caption) lines.push(renderLine(block.caption));
+  for (const row of block.rows) {
+    lines.push(row.cells.map((cell) => renderBlockList(cell.blocks).join(' ').replace(/\s+/g, ' ').trim()).join('\t'));
+  }
+  return lines.join('\n');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'paragraph':
+      return [renderInline(normalizeInline(block.content))];
+    case 'heading':
+      return [renderLine(block.content)];
+    case 'list':
+      return [renderList(block)];
+    case 'blockquote':
+      return [indent(renderBlockList(block.blocks).join('\n\n'), 4)];
+    case 'code':
+      return [block.text];
+    case 'table':
+      return [renderTable(block)];
+    case 'definitions':
+      return block.groups.map((group) => [
+        ...group.terms.map(renderLine),
+        ...group.definitions.map((blocks) => indent(renderBlockList(blocks).join('\n\n'), 4)),
+      ].join('\n'));
+    case 'figure': {
+      const blocks = renderBlockList(block.blocks);
+      if (block.caption) blocks.push(renderLine(block.caption));
+      return blocks;
+    }
+    default:
+      return [];
+  }
+}
+
+function renderBlockList(blocks) {
+  return blocks.flatMap(renderBlock).filter((text) => text.trim());
+}
+
+function renderBlocks(blocks) {
+  return renderBlockList(blocks).join('\n\n');
+}
+
+function renderFootnotes(notes) {
+  return notes
+    .map(({ label, blocks }) => `[${label}] ${indent(renderBlocks(blocks), 4).trimStart()}`)
+    .join('\n');
+}
+
+function renderChapter({ title, blocks, noteGroups, listing }) {
+  return [
+    title,
+    renderBlocks(blocks),
+    listing.map((entry) => `- ${entry.title}`).join('\n'),
+    ...noteGroups.map(renderFootnotes),
+  ].filter(Boolean).join('\n\n');
+}
+
+function renderTocList(entries, depth = 0) {
+  return entries.flatMap(({ title, children }) => [`${'  '.repeat(depth)}- ${title}`, ...renderTocList(children, depth + 1)]);
+}
+
+function renderToc(entries, { title }) {
+  return [title, renderTocList(entries).join('\n')].join('\n\n');
+}
+
+module.exports = {
+  name: 'text',
+  extension: '.txt',
+  mediaType: 'text/plain',
+  renderBlocks,
+  renderFootnotes,
+  renderChapter,
+  renderToc,
+  frontMatter: () => null,
+  documentStart: (result) => (result.contents ? `${result.contents}\n\n\n` : ''),
+  separator: '\n\n\n',
+  documentEnd: () => '',
+  chapterFile: (chapter) => chapter.content,
+};
@@ -0,0 +1,198 @@
+/**
+ * Dependency-free HTML/XHTML tokenizer and tree builder.
+ *
+ * Forgiving by design: content documents are often sliced mid-file by TOC
+ * anchors, so stray end tags are ignored and anything still open at the end is
+ * closed implicitly. Handles XHTML self-closing tags, void elements, raw-text
+ * script/style, comments, CDATA, doctype and processing instructions, and the
+ * usual implied end tags (p, li, dt/dd, tr, td/th, option).
+ *
+ * Nodes: { type: 'root' | 'element' | 'text', name, attrs, children, parent, value }.
+ */
+
+const { decodeEntities } = require('./text');
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Opening one of these closes an open <p>, as in the HTML parsing rules.
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul',
+]);
+
+// Tag -> tags it implicitly closes, and the tags that bound that search.
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  option: { closes: ['option'], scope: ['select', 'datalist'] },
+};
+
+const TAG_REGEX = /<(\/?)([A-Za-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const ATTR_REGEX = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttributes(source) {
+  const attrs = {};
+  let match;
+  ATTR_REGEX.lastIndex = 0;
+  while ((match = ATTR_REGEX.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const raw = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!Object.prototype.hasOwnProperty.call(attrs, name)) {
+      attrs[name] = decodeEntities(raw);
+    }
+  }
+  return attrs;
+}
+
+function tokenize(html) {
+  const tokens = [];
+  const length = html.length;
+  let pos = 0;
+
+  const pushText = (value) => {
+    if (value) tokens.push({ type: 'text', value });
+  };
+
+  while (pos < length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      pushText(decodeEntities(html.slice(pos)));
+      break;
+    }
+    if (lt > pos) pushText(decodeEntities(html.slice(pos, lt)));
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      pos = end === -1 ? length : end + 3;
+      continue;
+    }
+    if (html.startsWith('<![CDATA[', lt)) {
+      const end = html.indexOf(']]>', lt + 9);
+      pushText(html.slice(lt + 9, end === -1 ? length : end));
+      pos = end === -1 ? length : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt + 2);
+      pos = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = lt;
+    const tagMatch = TAG_REGEX.exec(html);
+    if (!tagMatch) {
+      // A lone "<" that doesn't start a tag is just text.
+      pushText('<');
+      pos = lt + 1;
+      continue;
+    }
+
+    const [whole, slash, rawName, rest] = tagMatch;
+    const name = rawName.toLowerCase();
+    pos = lt + whole.length;
+    if (slash) {
+      tokens.push({ type: 'close', name });
+      continue;
+    }
+
+    const selfClosing = /\/\s*$/.test(rest);
+    const attrs = parseAttributes(selfClosing ? rest.replace(/\/\s*$/, '') : rest);
+    tokens.push({ type: 'open', name, attrs, selfClosing });
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const closeRegex = new RegExp(`</${name}\\s*>`, 'ig');
+      closeRegex.lastIndex = pos;
+      const close = closeRegex.exec(html);
+      const end = close ? close.index : length;
+      pushText(html.slice(pos, end));
+      tokens.push({ type: 'close', name });
+      pos = close ? close.index + close[0].length : length;
+    }
+  }
+  return tokens;
+}
+
+function createElement(name, attrs, parent) {
+  return { type: 'element', name, attrs, children: [], parent };
+}
+
+function parseHtml(html) {
+  const root = { type: 'root', name: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const closeUpTo = (index) => {
+    stack.length = index;
+  };
+
+  const findOpen = (names, scope) => {
+    for (let i = stack.length - 1; i > 0; i -= 1) {
+      const { name } = stack[i];
+      if (names.includes(name)) return i;
+      if (scope && scope.includes(name)) return -1;
+    }
+    return -1;
+  };
+
+  for (const token of tokenize(html)) {
+    if (token.type === 'text') {
+      const parent = current();
+      const last = parent.children[parent.children.length - 1];
+      if (last && last.type === 'text') {
+        last.value += token.value;
+      } else {
+        parent.children.push({ type: 'text', value: token.value, parent });
+      }
+      continue;
+    }
+
+    if (token.type === 'close') {
+      const index = findOpen([token.name]);
+      if (index !== -1) closeUpTo(index);
+      continue;
+    }
+
+    const { name } = token;
+    if (CLOSES_P.has(name)) {
+      const index = findOpen(['p'], ['button', 'li', 'td', 'th', 'blockquote', 'div', 'section', 'article', 'aside']);
+      if (index !== -1) closeUpTo(index);
+    }
+    const implied = IMPLIED_END[name];
+    if (implied) {
+      const index = findOpen(implied.closes, implied.scope);
+      if (index !== -1) closeUpTo(index);
+    }
+
+    const element = createElement(name, token.attrs, current());
+    current().children.push(element);
+    if (!token.selfClosing && !VOID_ELEMENTS.has(name)) {
+      stack.push(element);
+    }
+  }
+  return root;
+}
+
+function textContent(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textContent).join('');
+}
+
+module.exports = {
+  tokenize,
+  parseHtml,
+  parseAttributes,
+  textContent,
+  VOID_ELEMENTS,
+};
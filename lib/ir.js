@@ -0,0 +1,728 @@
+/**
+ * Intermediate representation shared by every output format.
+ *
+ * `htmlToBlocks()` walks the parsed HTML of one content document (or a slice
+ * of one) and produces plain objects; the renderers in lib/formats/ turn them
+ * into Markdown, text, HTML, AsciiDoc or JSON. Everything that depends on the
+ * EPUB rather than on the output format happens here: footnote references,
+ * note bodies left out of the running text, internal link resolution, image
+ * source rewriting and the `imagePolicy` ('drop' leaves images out,
+ * 'keep-alt' puts their alt text in their place), heading offsets, config
+ * rules (`rules`, a set from lib/rules.js) and the `anchors` collector, which
+ * collectAnchors() also fills without building any blocks. SVG
+ * `<image>` elements count as images. Given a `lastAnchor` holder (`{ id }`),
+ * every block also gets `anchor`: the last element id seen by its end.
+ *
+ * Blocks:
+ *   { type: 'paragraph', content }
+ *   { type: 'heading', level, content }
+ *   { type: 'list', ordered, start, items: [{ blocks }] }
+ *   { type: 'blockquote', blocks }
+ *   { type: 'code', language, text }
+ *   { type: 'table', caption, rows: [{ section, cells: [{ header, colspan, rowspan, blocks }] }] }
+ *   { type: 'definitions', groups: [{ terms: [content], definitions: [blocks] }] }
+ *   { type: 'figure', blocks, caption }
+ *   { type: 'rule' }
+ *
+ * Inline content is an array of:
+ *   { type: 'text', text }          whitespace collapsed to single spaces
+ *   { type: 'break' }
+ *   { type: 'emphasis' | 'strong' | 'sup' | 'sub', children }
+ *   { type: 'code', text }
+ *   { type: 'link', href, internal, children }
+ *   { type: 'image', src, alt }
+ *   { type: 'footnoteRef', label }
+ *
+ * Text keeps the whitespace of the source (collapsed per node) so each
+ * renderer can finish it the way its syntax needs; normalizeInline() does the
+ * usual collapsing for renderers without special needs.
+ */
+
+const path = require('node:path');
+const { parseHtml, textContent } = require('./html');
+const { isNoteref, isBacklink, resolveNoteref } = require('./notes');
+const { resolveHref } = require('./epub');
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'html', 'legend', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+const SKIPPED_ELEMENTS = new Set(['head', 'link', 'meta', 'noscript', 'script', 'style', 'template', 'title']);
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+const TABLE_SECTIONS = new Set(['thead', 'tbody', 'tfoot']);
+
+const CONTAINERS = new Set(['emphasis', 'strong', 'sup', 'sub', 'link']);
+
+// Rule actions that make any element a block of its own.
+const BLOCK_ACTIONS = new Set(['heading', 'paragraph', 'rule']);
+
+function isBlock(node) {
+  return node.type === 'element' && BLOCK_ELEMENTS.has(node.name);
+}
+
+// True when the inline content would show something besides whitespace.
+function hasContent(nodes) {
+  return nodes.some((node) => {
+    if (node.type === 'text') return /\S/.test(node.text);
+    if (node.type === 'break') return false;
+    if (node.type === 'link') return true;
+    if (CONTAINERS.has(node.type)) return hasContent(node.children);
+    return true;
+  });
+}
+
+function text(value) {
+  return { type: 'text', text: value };
+}
+
+function ruleFor(node, ctx) {
+  return ctx.rules ? ctx.rules.match(node, ctx.filePath) : null;
+}
+
+function recordAnchor(node, ctx) {
+  const id = node.attrs.id || (node.name === 'a' ? node.attrs.name : null);
+  if (!id) return;
+  if (ctx.lastAnchor) ctx.lastAnchor.id = id;
+  if (ctx.anchors && !ctx.anchors.ids.has(id)) {
+    ctx.anchors.ids.set(id, ctx.anchors.headings.length - 1);
+  }
+}
+
+// Gives new blocks their `anchor` when a lastAnchor holder is passed. Blocks
+// from nested calls already have theirs.
+function markAnchors(blocks, ctx) {
+  if (ctx.lastAnchor) {
+    for (const block of blocks) {
+      if (!('anchor' in block)) block.anchor = ctx.lastAnchor.id;
+    }
+  }
+  return blocks;
+}
+
+function resolveInternalLink(href, ctx) {
+  if (!ctx.resolveLink || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+  const target = href.startsWith('#')
+    ? resolveHref('', `${ctx.filePath}${href}`)
+    : resolveHref(ctx.baseDir || '', href);
+  return ctx.resolveLink(target.filePath, target.fragment);
+}
+
+function buildLink(node, ctx) {
+  const href = node.attrs.href || '';
+  if (ctx.footnotes && ctx.filePath && isNoteref(node)) {
+    const noteLabel = ctx.footnotes.reference(resolveNoteref(node, ctx.filePath));
+    if (noteLabel) return [{ type: 'footnoteRef', label: noteLabel }];
+  }
+  const children = buildInlineChildren(node, ctx);
+  // Inside a note, drop the link back to the reference ("1.", "↩").
+  if (ctx.inNote && (isBacklink(node) || /^\s*[[(]?(\d+|[*†‡§↩]+)[\])]?\.?\s*$/.test(textContent(node)))) {
+    return [];
+  }
+  const internal = href ? resolveInternalLink(href, ctx) : null;
+  if (internal && hasContent(children)) return [{ type: 'link', href: internal, internal: true, children }];
+  const isTocLink = /#toc\b/i.test(href) || /toc\.x?html/i.test(href) || /nav\.x?html/i.test(href);
+  const isInternalDoc = /\.(x?html?|xht)(#|$)/i.test(href) && !/^https?:/i.test(href);
+  if (!href || isTocLink || isInternalDoc || href.startsWith('#')) return children;
+  return [{ type: 'link', href, internal: false, children: hasContent(children) ? children : [text(href)] }];
+}
+
+function buildImage(src, alt, ctx) {
+  if (!src || ctx.imagePolicy === 'drop') return [];
+  if (ctx.imagePolicy === 'keep-alt') return /\S/.test(alt) ? [text(alt)] : [];
+  const finalSrc = ctx.rewriteImageSrc ? ctx.rewriteImageSrc(src, { baseDir: ctx.baseDir }) : src;
+  return [{ type: 'image', src: finalSrc, alt }];
+}
+
+function wrap(type, children) {
+  return hasContent(children) ? [{ type, children }] : children;
+}
+
+function buildInlineChildren(node, ctx) {
+  return node.children.flatMap((child) => buildInline(child, ctx));
+}
+
+function buildInline(node, ctx) {
+  if (node.type === 'text') {
+    return [text(node.value.replace(/[ \t\r\n\f]+/g, ' '))];
+  }
+  if (node.type !== 'element' || SKIPPED_ELEMENTS.has(node.name)) return [];
+  if (ctx.footnotes && ctx.filePath && ctx.footnotes.isNoteBody(ctx.filePath, node)) return [];
+  const rule = ruleFor(node, ctx);
+  if (rule && rule.action === 'drop') return [];
+  recordAnchor(node, ctx);
+  if (rule) return buildRuleInline(node, rule, ctx);
+
+  switch (node.name) {
+    case 'br':
+      return [{ type: 'break' }];
+    case 'img':
+      return buildImage(node.attrs.src || '', node.attrs.alt || '', ctx);
+    case 'image':
+      // SVG, as in the usual cover page: <svg><image xlink:href="cover.jpg"/></svg>.
+      return buildImage(node.attrs['xlink:href'] || node.attrs.href || '', node.attrs['aria-label'] || '', ctx);
+    case 'a':
+      return buildLink(node, ctx);
+    case 'em':
+    case 'i':
+    case 'cite':
+    case 'dfn':
+    case 'var':
+      return wrap('emphasis', buildInlineChildren(node, ctx));
+    case 'strong':
+    case 'b':
+      return wrap('strong', buildInlineChildren(node, ctx));
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt': {
+      const code = textContent(node).replace(/[ \t\r\n]+/g, ' ').trim();
+      return code ? [{ type: 'code', text: code }] : [];
+    }
+    case 'sup':
+    case 'sub': {
+      const children = buildInlineChildren(node, ctx);
+      if (!hasContent(children)) return [];
+      // A superscript that only holds a footnote reference is just the reference.
+      const shown = children.filter((child) => child.type !== 'text' || child.text.trim());
+      if (shown.length === 1 && shown[0].type === 'footnoteRef') return shown;
+      return [{ type: node.name, children }];
+    }
+    default:
+      break;
+  }
+
+  const inner = buildInlineChildren(node, ctx);
+  // A block nested inside inline markup still needs separating from its neighbours.
+  return isBlock(node) ? [text(' '), ...inner, text(' ')] : inner;
+}
+
+function buildList(node, ctx) {
+  const start = parseInt(node.attrs.start, 10);
+  const items = [];
+
+  for (const child of node.children) {
+    if (child.type === 'text' && !child.value.trim()) continue;
+    const isNestedList = child.type === 'element' && (child.name === 'ul' || child.name === 'ol');
+    if (isNestedList && items.length) {
+      // A list directly inside a list belongs to the preceding item.
+      items[items.length - 1].blocks.push(...buildList(child, ctx));
+      continue;
+    }
+    const content = child.type === 'element' && child.name === 'li' ? child.children : [child];
+    items.push({ blocks: buildBlocks(content, ctx) });
+  }
+
+  if (!items.length) return [];
+  return [{ type: 'list', ordered: node.name === 'ol', start: Number.isFinite(start) ? start : 1, items }];
+}
+
+function buildHeading(node, ctx, baseLevel = HEADING_LEVELS[node.name]) {
+  const index = ctx.anchors ? ctx.anchors.headings.push(null) - 1 : null;
+  recordAnchor(node, ctx);
+  const content = buildInlineChildren(node, ctx);
+  if (ctx.anchors) ctx.anchors.headings[index] = headingText(content) || null;
+  if (!hasContent(content)) return [];
+  const level = Math.min(6, baseLevel + (ctx.headingOffset || 0));
+  return [{ type: 'heading', level, content }];
+}
+
+function preText(node) {
+  if (node.type === 'text') return node.value;
+  if (node.type !== 'element') return '';
+  if (node.name === 'br') return '\n';
+  return node.children.map(preText).join('');
+}
+
+function codeLanguage(node) {
+  const candidates = [node, ...node.children.filter((child) => child.type === 'element' && child.name === 'code')];
+  for (const candidate of candidates) {
+    const className = candidate.attrs.class || '';
+    const match = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/i)
+      || className.match(/brush:\s*([\w+#.-]+)/i)
+      || (candidate.attrs['data-lang'] || '').match(/^([\w+#.-]+)$/);
+    if (match) return match[1].toLowerCase();
+  }
+  return '';
+}
+
+function buildPre(node) {
+  // Per HTML rules a newline right after <pre> is not part of the content.
+  const code = preText(node).replace(/^\r?\n/, '').replace(/\s+$/, '');
+  if (!code.trim()) return [];
+  return [{ type: 'code', language: codeLanguage(node), text: code }];
+}
+
+function collectTableRows(node) {
+  const rows = [];
+  const visit = (parent, section) => {
+    for (const child of parent.children) {
+      if (child.type !== 'element') continue;
+      if (TABLE_SECTIONS.has(child.name)) {
+        visit(child, child.name);
+      } else if (child.name === 'tr') {
+        const cells = child.children.filter((cell) => cell.type === 'element' && (cell.name === 'td' || cell.name === 'th'));
+        rows.push({ section, cells });
+      }
+    }
+  };
+  visit(node, 'tbody');
+  return rows;
+}
+
+function span(cell, attr) {
+  const value = parseInt(cell.attrs[attr], 10);
+  return value > 1 ? value : 1;
+}
+
+function buildTable(node, ctx) {
+  const captionNode = node.children.find((child) => child.type === 'element' && child.name === 'caption');
+  const caption = captionNode ? buildInlineChildren(captionNode, ctx) : [];
+  const rows = collectTableRows(node)
+    .filter((row) => row.cells.length)
+    .map((row) => ({
+      section: row.section,
+      cells: row.cells.map((cell) => ({
+        header: cell.name === 'th',
+        colspan: span(cell, 'colspan'),
+        rowspan: span(cell, 'rowspan'),
+        blocks: buildBlocks(cell.children, ctx),
+      })),
+    }));
+  if (!rows.length && !hasContent(caption)) return [];
+  return [{ type: 'table', caption: hasContent(caption) ? caption : null, rows }];
+}
+
+function buildDefinitionGroups(node, ctx) {
+  const groups = [];
+  let current = null;
+  for (const child of node.children) {
+    if (child.type !== 'element') continue;
+    if (child.name === 'dt') {
+      if (!current || current.definitions.length) {
+        current = { terms: [], definitions: [] };
+        groups.push(current);
+      }
+      const term = buildInlineChildren(child, ctx);
+      if (hasContent(term)) current.terms.push(term);
+    } else if (child.name === 'dd') {
+      if (!current) {
+        current = { terms: [], definitions: [] };
+        groups.push(current);
+      }
+      const blocks = buildBlocks(child.children, ctx);
+      if (blocks.length) current.definitions.push(blocks);
+    } else if (child.name === 'div') {
+      // HTML allows wrapping each dt/dd group in a <div>.
+      groups.push(...buildDefinitionGroups(child, ctx));
+      current = null;
+    }
+  }
+  return groups.filter((group) => group.terms.length || group.definitions.length);
+}
+
+function buildFigure(node, ctx) {
+  const captionNode = node.children.find((child) => child.type === 'element' && child.name === 'figcaption');
+  const caption = captionNode ? buildInlineChildren(captionNode, ctx) : [];
+  const content = node.children.filter((child) => child !== captionNode);
+  // Images without alt text borrow the caption (unless that would print it twice).
+  const captionText = captionNode && ctx.imagePolicy !== 'keep-alt' ? textContent(captionNode).replace(/\s+/g, ' ').trim() : '';
+  const withAlt = content.map((child) => (child.type === 'element' && child.name === 'img' && !child.attrs.alt && captionText
+    ? { ...child, attrs: { ...child.attrs, alt: captionText } }
+    : child));
+  const blocks = buildBlocks(withAlt, ctx);
+  if (!blocks.length && !hasContent(caption)) return [];
+  return [{ type: 'figure', blocks, caption: hasContent(caption) ? caption : null }];
+}
+
+// An element a config rule matched, where inline content is expected.
+// Block-only actions fall back to the nearest inline equivalent.
+function buildRuleInline(node, rule, ctx) {
+  switch (rule.action) {
+    case 'rule':
+      return [];
+    case 'replace':
+      return rule.text ? [text(rule.text)] : [];
+    case 'heading':
+      return wrap('strong', buildInlineChildren(node, ctx));
+    case 'emphasis':
+    case 'strong':
+      return wrap(rule.action, buildInlineChildren(node, ctx));
+    case 'code': {
+      const code = textContent(node).replace(/[ \t\r\n]+/g, ' ').trim();
+      return code ? [{ type: 'code', text: code }] : [];
+    }
+    case 'paragraph':
+      return [text(' '), ...buildInlineChildren(node, ctx), text(' ')];
+    default:
+      // unwrap
+      return buildInlineChildren(node, ctx);
+  }
+}
+
+// An element a config rule matched, as a block (headings are built by
+// buildBlock(), which records their anchors).
+function buildRuleBlock(node, rule, ctx) {
+  switch (rule.action) {
+    case 'rule':
+      return [{ type: 'rule' }];
+    case 'code': {
+      const code = preText(node).replace(/^\r?\n/, '').replace(/\s+$/, '');
+      return code.trim() ? [{ type: 'code', language: '', text: code }] : [];
+    }
+    case 'emphasis':
+    case 'strong':
+      // Every paragraph inside takes the markup.
+      return buildBlocks(node.children, ctx)
+        .map((block) => (block.type === 'paragraph' ? { ...block, content: wrap(rule.action, block.content) } : block));
+    case 'unwrap':
+      return buildBlocks(node.children, ctx);
+    default: {
+      // paragraph, replace
+      const content = rule.action === 'replace' ? buildRuleInline(node, rule, ctx) : buildInlineChildren(node, ctx);
+      return hasContent(content) ? [{ type: 'paragraph', content }] : [];
+    }
+  }
+}
+
+function buildBlock(node, ctx) {
+  if (SKIPPED_ELEMENTS.has(node.name)) return [];
+  const rule = ruleFor(node, ctx);
+  if (rule && rule.action === 'drop') return [];
+  if (rule && rule.action === 'heading') return buildHeading(node, ctx, rule.level);
+  if (HEADING_LEVELS[node.name] && !rule) return buildHeading(node, ctx);
+  recordAnchor(node, ctx);
+  if (rule) return buildRuleBlock(node, rule, ctx);
+
+  switch (node.name) {
+    case 'ul':
+    case 'ol':
+      return buildList(node, ctx);
+    case 'li':
+      return buildList({ ...node, name: 'ul', attrs: {}, children: [node] }, ctx);
+    case 'blockquote': {
+      const blocks = buildBlocks(node.children, ctx);
+      return blocks.length ? [{ type: 'blockquote', blocks }] : [];
+    }
+    case 'hr':
+      return [{ type: 'rule' }];
+    case 'pre':
+      return buildPre(node);
+    case 'table':
+      return buildTable(node, ctx);
+    case 'dl': {
+      const groups = buildDefinitionGroups(node, ctx);
+      return groups.length ? [{ type: 'definitions', groups }] : [];
+    }
+    case 'figure':
+      return buildFigure(node, ctx);
+    default:
+      return buildBlocks(node.children, ctx);
+  }
+}
+
+function buildBlocks(nodes, ctx) {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    if (hasContent(inline)) blocks.push(...markAnchors([{ type: 'paragraph', content: inline }], ctx));
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (ctx.footnotes && ctx.filePath && ctx.footnotes.isNoteBody(ctx.filePath, node)) continue;
+    const rule = node.type === 'element' ? ruleFor(node, ctx) : null;
+    if (node.type === 'element' && (isBlock(node) || SKIPPED_ELEMENTS.has(node.name) || (rule && BLOCK_ACTIONS.has(rule.action)))) {
+      flush();
+      blocks.push(...markAnchors(buildBlock(node, ctx), ctx));
+    } else {
+      inline.push(...buildInline(node, ctx));
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// The anchors pass without the blocks: scanBlocks() and friends walk a
+// document the way buildBlocks() and friends do, recording the same
+// headings and ids in the same order, and only note in `ctx.output.content`
+// whether any block would come out. Only heading content is built, for its
+// text. Changes to what the builders visit or skip belong in both.
+function scanContent(ctx) {
+  ctx.output.content = true;
+}
+
+function scanInlineChildren(node, ctx) {
+  for (const child of node.children) scanInline(child, ctx);
+}
+
+function scanImage(src, alt, ctx) {
+  if (!src || ctx.imagePolicy === 'drop') return;
+  if (ctx.imagePolicy !== 'keep-alt' || /\S/.test(alt)) scanContent(ctx);
+}
+
+function scanLink(node, ctx) {
+  const href = node.attrs.href || '';
+  if (ctx.footnotes && ctx.filePath && isNoteref(node) && ctx.footnotes.reference(resolveNoteref(node, ctx.filePath))) {
+    scanContent(ctx);
+    return;
+  }
+  scanInlineChildren(node, ctx);
+  if (ctx.inNote && (isBacklink(node) || /^\s*[[(]?(\d+|[*†‡§↩]+)[\])]?\.?\s*$/.test(textContent(node)))) return;
+  const isTocLink = /#toc\b/i.test(href) || /toc\.x?html/i.test(href) || /nav\.x?html/i.test(href);
+  const isInternalDoc = /\.(x?html?|xht)(#|$)/i.test(href) && !/^https?:/i.test(href);
+  if (href && !isTocLink && !isInternalDoc && !href.startsWith('#')) scanContent(ctx);
+}
+
+function scanInline(node, ctx) {
+  if (node.type === 'text') {
+    if (/\S/.test(node.value)) scanContent(ctx);
+    return;
+  }
+  if (node.type !== 'element' || SKIPPED_ELEMENTS.has(node.name)) return;
+  if (ctx.footnotes && ctx.filePath && ctx.footnotes.isNoteBody(ctx.filePath, node)) return;
+  const rule = ruleFor(node, ctx);
+  if (rule && rule.action === 'drop') return;
+  recordAnchor(node, ctx);
+  if (rule) {
+    if (rule.action === 'replace' && rule.text && /\S/.test(rule.text)) scanContent(ctx);
+    if (rule.action === 'code' && textContent(node).replace(/[ \t\r\n]+/g, ' ').trim()) scanContent(ctx);
+    if (!['rule', 'replace', 'code'].includes(rule.action)) scanInlineChildren(node, ctx);
+    return;
+  }
+
+  switch (node.name) {
+    case 'br':
+      return;
+    case 'img':
+      scanImage(node.attrs.src || '', node.attrs.alt || '', ctx);
+      return;
+    case 'image':
+      scanImage(node.attrs['xlink:href'] || node.attrs.href || '', node.attrs['aria-label'] || '', ctx);
+      return;
+    case 'a':
+      scanLink(node, ctx);
+      return;
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt':
+      if (textContent(node).replace(/[ \t\r\n]+/g, ' ').trim()) scanContent(ctx);
+      return;
+    default:
+      scanInlineChildren(node, ctx);
+  }
+}
+
+function scanList(node, ctx) {
+  let items = 0;
+  for (const child of node.children) {
+    if (child.type === 'text' && !child.value.trim()) continue;
+    const isNestedList = child.type === 'element' && (child.name === 'ul' || child.name === 'ol');
+    if (isNestedList && items) {
+      scanList(child, ctx);
+      continue;
+    }
+    items += 1;
+    scanContent(ctx);
+    scanBlocks(child.type === 'element' && child.name === 'li' ? child.children : [child], ctx);
+  }
+}
+
+function scanDefinitions(node, ctx) {
+  for (const child of node.children) {
+    if (child.type !== 'element') continue;
+    if (child.name === 'dt') scanInlineChildren(child, ctx);
+    else if (child.name === 'dd') scanBlocks(child.children, ctx);
+    else if (child.name === 'div') scanDefinitions(child, ctx);
+  }
+}
+
+function scanTable(node, ctx) {
+  const captionNode = node.children.find((child) => child.type === 'element' && child.name === 'caption');
+  if (captionNode) scanInlineChildren(captionNode, ctx);
+  for (const row of collectTableRows(node)) {
+    if (row.cells.length) scanContent(ctx);
+    for (const cell of row.cells) scanBlocks(cell.children, ctx);
+  }
+}
+
+function scanFigure(node, ctx) {
+  const captionNode = node.children.find((child) => child.type === 'element' && child.name === 'figcaption');
+  if (captionNode) scanInlineChildren(captionNode, ctx);
+  scanBlocks(node.children.filter((child) => child !== captionNode), ctx);
+}
+
+function scanHeading(node, ctx, level) {
+  if (buildHeading(node, ctx, level).length) scanContent(ctx);
+}
+
+function scanBlock(node, ctx) {
+  if (SKIPPED_ELEMENTS.has(node.name)) return;
+  const rule = ruleFor(node, ctx);
+  if (rule && rule.action === 'drop') return;
+  if (rule && rule.action === 'heading') {
+    scanHeading(node, ctx, rule.level);
+    return;
+  }
+  if (HEADING_LEVELS[node.name] && !rule) {
+    scanHeading(node, ctx, HEADING_LEVELS[node.name]);
+    return;
+  }
+  recordAnchor(node, ctx);
+  if (rule) {
+    if (rule.action === 'rule') {
+      scanContent(ctx);
+    } else if (rule.action === 'code') {
+      if (preText(node).trim()) scanContent(ctx);
+    } else if (['emphasis', 'strong', 'unwrap'].includes(rule.action)) {
+      scanBlocks(node.children, ctx);
+    } else if (rule.action === 'replace') {
+      if (rule.text && /\S/.test(rule.text)) scanContent(ctx);
+    } else {
+      scanInlineChildren(node, ctx);
+    }
+    return;
+  }
+
+  switch (node.name) {
+    case 'ul':
+    case 'ol':
+      scanList(node, ctx);
+      return;
+    case 'li':
+      scanList({ ...node, name: 'ul', attrs: {}, children: [node] }, ctx);
+      return;
+    case 'hr':
+      scanContent(ctx);
+      return;
+    case 'pre':
+      if (preText(node).replace(/^\r?\n/, '').trim()) scanContent(ctx);
+      return;
+    case 'table':
+      scanTable(node, ctx);
+      return;
+    case 'dl':
+      scanDefinitions(node, ctx);
+      return;
+    case 'figure':
+      scanFigure(node, ctx);
+      return;
+    default:
+      scanBlocks(node.children, ctx);
+  }
+}
+
+function scanBlocks(nodes, ctx) {
+  for (const node of nodes) {
+    if (ctx.footnotes && ctx.filePath && ctx.footnotes.isNoteBody(ctx.filePath, node)) continue;
+    const rule = node.type === 'element' ? ruleFor(node, ctx) : null;
+    if (node.type === 'element' && (isBlock(node) || SKIPPED_ELEMENTS.has(node.name) || (rule && BLOCK_ACTIONS.has(rule.action)))) {
+      scanBlock(node, ctx);
+    } else {
+      scanInline(node, ctx);
+    }
+  }
+}
+
+function htmlToBlocks(html, options = {}) {
+  return buildBlocks(parseHtml(html).children, { ...options });
+}
+
+// Fills `options.anchors` as htmlToBlocks() would, without building the
+// blocks. Returns whether htmlToBlocks() would return any.
+function collectAnchors(html, options = {}) {
+  const ctx = { ...options, output: { content: false } };
+  scanBlocks(parseHtml(html).children, ctx);
+  return ctx.output.content;
+}
+
+// note: { node, filePath } as returned by the footnote registry.
+function noteToBlocks(note, options = {}) {
+  return buildBlocks(note.node.children, {
+    ...options,
+    baseDir: path.posix.dirname(note.filePath),
+    filePath: note.filePath,
+    inNote: true,
+  });
+}
+
+// Collapses whitespace across element boundaries, drops spaces around line
+// breaks and at both ends, and removes markup left empty. Returns new nodes.
+function normalizeInline(nodes) {
+  const clone = (list) => list.map((node) => (node.children ? { ...node, children: clone(node.children) } : { ...node }));
+  const tree = clone(nodes);
+  const texts = [];
+  let afterSpace = true;
+  const trimTrailing = () => {
+    for (let i = texts.length - 1; i >= 0; i -= 1) {
+      texts[i].text = texts[i].text.replace(/ $/, '');
+      if (texts[i].text) break;
+    }
+  };
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.type === 'text') {
+        node.text = node.text.replace(/\s+/g, ' ');
+        if (afterSpace) node.text = node.text.replace(/^ /, '');
+        if (node.text) afterSpace = node.text.endsWith(' ');
+        texts.push(node);
+      } else if (node.type === 'break') {
+        trimTrailing();
+        afterSpace = true;
+        texts.length = 0;
+      } else if (node.children) {
+        visit(node.children);
+      } else {
+        afterSpace = false;
+        texts.length = 0;
+      }
+    }
+  };
+  visit(tree);
+  trimTrailing();
+
+  const prune = (list) => list
+    .map((node) => (node.children && node.type !== 'link' ? { ...node, children: prune(node.children) } : node))
+    .filter((node) => (node.type === 'text' ? node.text : !node.children || node.type === 'link' || node.children.length));
+  const pruned = prune(tree);
+  // Line breaks at either end show nothing.
+  while (pruned.length && pruned[0].type === 'break') pruned.shift();
+  while (pruned.length && pruned[pruned.length - 1].type === 'break') pruned.pop();
+  return pruned;
+}
+
+// Plain text of inline content: images and footnote references drop out,
+// line breaks become newlines.
+function plainText(nodes) {
+  const flatten = (list) => list.map((node) => {
+    if (node.type === 'text' || node.type === 'code') return node.text;
+    if (node.type === 'break') return '\n';
+    if (node.children) return flatten(node.children);
+    return '';
+  }).join('');
+  return flatten(nodes)
+    .replace(/ *\n */g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .replace(/^\n+|\n+$/g, '')
+    .trim();
+}
+
+// The text heading slugs are made from (see lib/links.js).
+function headingText(nodes) {
+  return plainText(nodes).replace(/\n+/g, ' ');
+}
+
+module.exports = {
+  htmlToBlocks,
+  collectAnchors,
+  noteToBlocks,
+  normalizeInline,
+  plainText,
+  headingText,
+  hasContent,
+};
@@ -0,0 +1,96 @@
+/**
+ * Internal cross-reference support: heading anchors and the map from
+ * `file#fragment` in the EPUB to the chapter and heading slug that ends up
+ * holding that spot in the Markdown output.
+ *
+ * Slugs follow GitHub's scheme (lowercase, punctuation dropped, spaces to
+ * dashes, `-1`, `-2` suffixes for repeats) so the links work in common
+ * Markdown renderers. In split output each file has its own slug namespace;
+ * file names may contain folders (nested output) and links between them are
+ * made relative to the linking file.
+ */
+
+const path = require('node:path');
+
+function headingPlainText(markdown) {
+  return markdown
+    .replace(/\[\^[^\]]+\]/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\\(.)/g, '$1')
+    .replace(/[*`]/g, '')
+    .trim();
+}
+
+function createSlugger() {
+  const seen = new Map();
+  return (text) => {
+    const base = headingPlainText(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+      .replace(/ /g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+}
+
+function encodePath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// chapters: [{ index, filePath, fileName, title, anchors: { headings, ids } }]
+// in output order; chapters that produce no output should be left out. `reserved` are
+// headings that come before the first chapter of a single file (the table of
+// contents title).
+function buildLinkMap(chapters, { split = false, reserved = [] } = {}) {
+  const targets = new Map();
+  const starts = new Map();
+  let slugger = createSlugger();
+  if (!split) reserved.forEach((heading) => slugger(heading));
+
+  for (const chapter of chapters) {
+    if (split) slugger = createSlugger();
+    const titleSlug = chapter.title ? slugger(chapter.title) : null;
+    const headingSlugs = [];
+    let lastSlug = titleSlug;
+    for (const heading of chapter.anchors.headings) {
+      if (heading) lastSlug = slugger(heading);
+      headingSlugs.push(lastSlug);
+    }
+
+    const target = (slug) => ({ fileName: chapter.fileName, slug });
+    starts.set(chapter.index, target(titleSlug));
+    if (!targets.has(chapter.filePath)) targets.set(chapter.filePath, target(titleSlug));
+    for (const [id, headingIndex] of chapter.anchors.ids) {
+      const key = `${chapter.filePath}#${id}`;
+      if (!targets.has(key)) targets.set(key, target(headingIndex < 0 ? titleSlug : headingSlugs[headingIndex]));
+    }
+  }
+
+  function hrefTo(found, fromFileName, { anchor = true } = {}) {
+    const hash = found.slug ? `#${found.slug}` : '';
+    if (!split || found.fileName === fromFileName) return hash || '#';
+    const relative = path.posix.relative(path.posix.dirname(fromFileName), found.fileName);
+    return `${encodePath(relative)}${anchor ? hash : ''}`;
+  }
+
+  // Returns the Markdown href for an archive file/fragment as seen from the
+  // output file `fromFileName`, or null when the target isn't in the output.
+  const resolve = (fromFileName, filePath, fragment) => {
+    const found = (fragment && targets.get(`${filePath}#${fragment}`)) || targets.get(filePath);
+    return found ? hrefTo(found, fromFileName) : null;
+  };
+  // The href of chapter `index`'s title heading (just its file when split),
+  // or null when the chapter isn't in the output.
+  resolve.chapterStart = (fromFileName, index) => (starts.has(index)
+    ? hrefTo(starts.get(index), fromFileName, { anchor: false })
+    : null);
+  return resolve;
+}
+
+module.exports = {
+  createSlugger,
+  buildLinkMap,
+};
@@ -0,0 +1,568 @@
+/**
+ * Markdown to the intermediate representation of lib/ir.js, for `build`.
+ *
+ * Covers what the Markdown output writes plus the usual hand edits: ATX and
+ * setext headings, paragraphs, nested bullet and ordered lists, blockquotes,
+ * fenced and indented code, GFM pipe tables, `Term` / `: definition` lists,
+ * thematic breaks, raw HTML blocks and comments (read with lib/html.js, e.g.
+ * the tables the Markdown output writes for spanning cells) and `[^n]: ...` footnote
+ * definitions. Inline: emphasis and strong emphasis (CommonMark delimiter
+ * rules), code spans, links, images, autolinks, `[^n]` references, backslash
+ * escapes, entities, hard breaks and the `<sup>`/`<sub>`/`<br>` tags the
+ * converter emits. Reference-style links and lazy continuation lines inside
+ * quotes are not supported.
+ */
+
+const { decodeEntities } = require('./text');
+const { htmlToBlocks, plainText } = require('./ir');
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+const DEFINITION = /^ {0,3}:[ \t]+(.*)$/;
+const HTML_BLOCK = /^ {0,3}(?:<!--|<\/?(?:address|article|aside|blockquote|center|details|div|dl|figure|footer|h[1-6]|header|hr|ol|p|pre|section|table|ul)\b)/i;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+function isBlank(line) {
+  return !line.trim();
+}
+
+function expandTabs(line) {
+  return line.replace(/^\t+/, (tabs) => ' '.repeat(tabs.length * 4));
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+// A list item only interrupts a paragraph when it has content and, if
+// ordered, starts at 1.
+function startsListInParagraph(line) {
+  const match = line.match(LIST_ITEM);
+  if (!match || isBlank(line.slice(match[0].length))) return false;
+  return !match[3] || Number(match[3]) === 1;
+}
+
+// Lines that end a paragraph without a blank line in between.
+function interruptsParagraph(line) {
+  return ATX_HEADING.test(line) || FENCE.test(line) || BLOCKQUOTE.test(line) || THEMATIC_BREAK.test(line)
+    || HTML_BLOCK.test(line) || FOOTNOTE_DEFINITION.test(line) || startsListInParagraph(line);
+}
+
+// Splits a table row at unescaped pipes outside code spans.
+function splitRow(line) {
+  let text = line.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  const cells = [];
+  let current = '';
+  let inCode = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '\\' && text[i + 1] === '|') {
+      current += '|';
+      i += 1;
+    } else if (char === '`') {
+      inCode = !inCode;
+      current += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells.map((cell) => cell.trim());
+}
+
+// Table cells may hold `<br>` for line breaks inside the cell.
+function tableCell(source, header) {
+  const paragraphs = source.split(/<br\s*\/?>/i).map((part) => parseInline(part)).filter((content) => content.length);
+  const content = paragraphs.flatMap((nodes, idx) => (idx ? [{ type: 'break' }, ...nodes] : nodes));
+  return {
+    header,
+    colspan: 1,
+    rowspan: 1,
+    blocks: content.length ? [{ type: 'paragraph', content }] : [],
+  };
+}
+
+// Takes the lines that belong to a container opened at `start` whose content
+// starts at column `indent`: indented lines, blank lines followed by more of
+// them, and lazy continuations of a paragraph. Returns { lines, next }.
+function takeIndented(lines, start, indent, first) {
+  const taken = [first];
+  let next = start + 1;
+  for (let i = start + 1; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      taken.push('');
+      continue;
+    }
+    if (indentOf(line) >= indent) {
+      taken.push(line.slice(indent));
+    } else if (!isBlank(taken[taken.length - 1]) && !interruptsParagraph(line)
+      && !LIST_ITEM.test(line) && !DEFINITION.test(line)) {
+      taken.push(line.trimStart());
+    } else {
+      break;
+    }
+    next = i + 1;
+  }
+  // Trailing blank lines belong to whatever follows.
+  return { lines: taken.slice(0, next - start), next };
+}
+
+function parseList(lines, start, notes) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = Boolean(first[3]);
+  const marker = ordered ? first[4] : first[2];
+  const items = [];
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || Boolean(match[3]) !== ordered || (ordered ? match[4] : match[2]) !== marker) break;
+    const spaces = match[5].length;
+    const width = match[1].length + match[2].length + (spaces > 4 || spaces === 0 ? 1 : spaces);
+    const { lines: itemLines, next } = takeIndented(lines, i, width, lines[i].slice(match[0].length));
+    items.push({ blocks: parseBlocks(itemLines, notes) });
+    i = next;
+    // Items of the same list may be separated by blank lines.
+    let j = i;
+    while (j < lines.length && isBlank(lines[j])) j += 1;
+    const following = j < lines.length ? lines[j].match(LIST_ITEM) : null;
+    if (!following || Boolean(following[3]) !== ordered || (ordered ? following[4] : following[2]) !== marker) break;
+    i = j;
+  }
+  return {
+    block: { type: 'list', ordered, start: ordered ? Number(first[3]) : 1, items },
+    next: i,
+  };
+}
+
+function parseDefinitions(terms, lines, start, notes) {
+  const group = { terms: terms.map((term) => parseInline(term)), definitions: [] };
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(DEFINITION);
+    if (!match) break;
+    const { lines: definitionLines, next } = takeIndented(lines, i, 2, match[1]);
+    group.definitions.push(parseBlocks(definitionLines, notes));
+    i = next;
+    let j = i;
+    while (j < lines.length && isBlank(lines[j])) j += 1;
+    if (j >= lines.length || !DEFINITION.test(lines[j])) break;
+    i = j;
+  }
+  return { block: { type: 'definitions', groups: [group] }, next: i };
+}
+
+function parseBlocks(input, notes) {
+  const lines = input.map(expandTabs);
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+    let match = line.match(FENCE);
+    if (match) {
+      const [, indent, fence, language] = match;
+      const body = [];
+      i += 1;
+      while (i < lines.length) {
+        const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) break;
+        body.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code', language: language || '', text: body.join('\n') });
+      continue;
+    }
+    if (indentOf(line) >= 4) {
+      const body = [];
+      while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+        body.push(lines[i].slice(4));
+        i += 1;
+      }
+      while (body.length && isBlank(body[body.length - 1])) body.pop();
+      blocks.push({ type: 'code', language: '', text: body.join('\n') });
+      continue;
+    }
+    match = line.match(ATX_HEADING);
+    if (match) {
+      blocks.push({ type: 'heading', level: match[1].length, content: parseInline(match[2] || '') });
+      i += 1;
+      continue;
+    }
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+      continue;
+    }
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'blockquote', blocks: parseBlocks(quoted, notes) });
+      continue;
+    }
+    match = line.match(FOOTNOTE_DEFINITION);
+    if (match) {
+      const { lines: noteLines, next } = takeIndented(lines, i, 4, match[2]);
+      notes.push({ label: match[1], blocks: parseBlocks(noteLines, notes) });
+      i = next;
+      continue;
+    }
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i, notes);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+    if (HTML_BLOCK.test(line)) {
+      // A comment ends at its `-->` line, other HTML at a blank line.
+      const comment = /^ *<!--/.test(line);
+      const html = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        html.push(lines[i]);
+        i += 1;
+        if (comment && html[html.length - 1].includes('-->')) break;
+      }
+      blocks.push(...htmlToBlocks(html.join('\n')));
+      continue;
+    }
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const rows = [{ section: 'thead', cells: splitRow(line).map((cell) => tableCell(cell, true)) }];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        rows.push({ section: 'tbody', cells: splitRow(lines[i]).map((cell) => tableCell(cell, false)) });
+        i += 1;
+      }
+      blocks.push({ type: 'table', caption: null, rows });
+      continue;
+    }
+
+    // Paragraph, possibly turned into a setext heading or definition terms.
+    const paragraph = [line];
+    i += 1;
+    let kind = 'paragraph';
+    while (i < lines.length && !isBlank(lines[i])) {
+      if (/^ {0,3}=+[ \t]*$/.test(lines[i])) {
+        kind = 'h1';
+      } else if (/^ {0,3}-+[ \t]*$/.test(lines[i])) {
+        kind = 'h2';
+      } else if (DEFINITION.test(lines[i])) {
+        kind = 'definitions';
+      } else if (!interruptsParagraph(lines[i])) {
+        paragraph.push(lines[i]);
+        i += 1;
+        continue;
+      }
+      break;
+    }
+    if (kind === 'h1' || kind === 'h2') {
+      blocks.push({ type: 'heading', level: kind === 'h1' ? 1 : 2, content: parseInline(paragraph.join('\n')) });
+      i += 1;
+    } else if (kind === 'definitions') {
+      const { block, next } = parseDefinitions(paragraph, lines, i, notes);
+      blocks.push(block);
+      i = next;
+    } else {
+      blocks.push({ type: 'paragraph', content: parseInline(paragraph.map((text) => text.trimStart()).join('\n').trimEnd()) });
+    }
+  }
+  return blocks.filter((block) => block.type !== 'paragraph' || block.content.length);
+}
+
+// --- Inline ---------------------------------------------------------------
+
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const INLINE_TAGS = { sup: 'sup', sub: 'sub', em: 'emphasis', i: 'emphasis', strong: 'strong', b: 'strong' };
+
+function isPunctuation(char) {
+  return Boolean(char) && /[\p{P}\p{S}]/u.test(char);
+}
+
+function isWhitespace(char) {
+  return !char || /\s/u.test(char);
+}
+
+// Link destination and optional title after `](`; returns { href, end } or null.
+function readDestination(text, pos) {
+  let i = pos;
+  while (text[i] === ' ' || text[i] === '\n') i += 1;
+  let href = '';
+  if (text[i] === '<') {
+    const close = text.indexOf('>', i);
+    if (close === -1) return null;
+    href = text.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+        href += text[i + 1];
+        i += 2;
+        continue;
+      }
+      if (text[i] === '(') depth += 1;
+      if (text[i] === ')') {
+        if (!depth) break;
+        depth -= 1;
+      }
+      href += text[i];
+      i += 1;
+    }
+  }
+  while (text[i] === ' ' || text[i] === '\n') i += 1;
+  if (text[i] === '"' || text[i] === '\'' || text[i] === '(') {
+    const closeChar = text[i] === '(' ? ')' : text[i];
+    const close = text.indexOf(closeChar, i + 1);
+    if (close === -1) return null;
+    i = close + 1;
+    while (text[i] === ' ' || text[i] === '\n') i += 1;
+  }
+  if (text[i] !== ')') return null;
+  return { href, end: i + 1 };
+}
+
+// CommonMark's "process emphasis" over the delimiter runs in `nodes`, from
+// index `bottom` on. Delimiters are { type: 'delimiter', char, count, canOpen, canClose }.
+function processEmphasis(nodes, bottom = 0) {
+  let closerIndex = bottom;
+  while (closerIndex < nodes.length) {
+    const closer = nodes[closerIndex];
+    if (closer.type !== 'delimiter' || !closer.canClose) {
+      closerIndex += 1;
+      continue;
+    }
+    let openerIndex = closerIndex - 1;
+    while (openerIndex >= bottom) {
+      const opener = nodes[openerIndex];
+      const oddMatch = (opener.canClose || closer.canOpen)
+        && (opener.originalCount + closer.originalCount) % 3 === 0
+        && !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+      if (opener.type === 'delimiter' && opener.char === closer.char && opener.canOpen && !oddMatch) break;
+      openerIndex -= 1;
+    }
+    if (openerIndex < bottom) {
+      closerIndex += 1;
+      continue;
+    }
+    const opener = nodes[openerIndex];
+    const used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+    // Delimiters between the two can no longer match anything.
+    const inner = nodes.slice(openerIndex + 1, closerIndex).map((node) => (node.type === 'delimiter' ? delimiterText(node) : node));
+    const wrapped = { type: used === 2 ? 'strong' : 'emphasis', children: inner };
+    opener.count -= used;
+    closer.count -= used;
+    nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, wrapped);
+    closerIndex = openerIndex + 2;
+    if (!opener.count) {
+      nodes.splice(openerIndex, 1);
+      closerIndex -= 1;
+    }
+    if (!closer.count) nodes.splice(closerIndex, 1);
+  }
+  return nodes.map((node) => (node.type === 'delimiter' ? delimiterText(node) : node));
+}
+
+function delimiterText(node) {
+  return { type: 'text', text: node.char.repeat(node.count) };
+}
+
+function parseInline(source) {
+  const text = source;
+  const nodes = [];
+  // Open `[` / `![` brackets and inline HTML tags, by index into `nodes`.
+  const brackets = [];
+  const tags = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\\') {
+      if (text[i + 1] === '\n') {
+        flush();
+        nodes.push({ type: 'break' });
+        i += 2;
+      } else if (ESCAPABLE.test(text[i + 1] || '')) {
+        buffer += text[i + 1];
+        i += 2;
+      } else {
+        buffer += char;
+        i += 1;
+      }
+      continue;
+    }
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const close = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+      close.lastIndex = i + run.length;
+      const found = close.exec(text);
+      if (!found) {
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+      let code = text.slice(i + run.length, found.index).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code) || /^ [^ ]+ $/.test(code)) code = code.slice(1, -1);
+      flush();
+      nodes.push({ type: 'code', text: code });
+      i = found.index + run.length;
+      continue;
+    }
+    if (char === '\n') {
+      // Two trailing spaces make a hard break; otherwise it's a space.
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '');
+      if (hard) {
+        flush();
+        nodes.push({ type: 'break' });
+      } else {
+        buffer += ' ';
+      }
+      i += 1;
+      continue;
+    }
+    if (char === '&') {
+      const entity = text.slice(i).match(/^&(#x?[0-9a-f]+|\w+);/i);
+      if (entity) {
+        buffer += decodeEntities(entity[0]);
+        i += entity[0].length;
+        continue;
+      }
+    }
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i);
+      if (autolink) {
+        const href = autolink[1].includes(':') ? autolink[1] : `mailto:${autolink[1]}`;
+        flush();
+        nodes.push({ type: 'link', href, internal: false, children: [{ type: 'text', text: autolink[1] }] });
+        i += autolink[0].length;
+        continue;
+      }
+      const tag = text.slice(i).match(/^<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>/i);
+      if (tag) {
+        const name = tag[2].toLowerCase();
+        flush();
+        if (name === 'br') {
+          nodes.push({ type: 'break' });
+        } else if (INLINE_TAGS[name] && !tag[1]) {
+          tags.push({ name, index: nodes.length });
+          nodes.push({ type: 'tag', name });
+        } else if (INLINE_TAGS[name]) {
+          const openIdx = tags.map((open) => open.name).lastIndexOf(name);
+          if (openIdx !== -1) {
+            const [open] = tags.splice(openIdx);
+            const children = processEmphasis(nodes.splice(open.index + 1));
+            nodes.splice(open.index, 1, { type: INLINE_TAGS[name], children: children.filter((node) => node.type !== 'tag') });
+          }
+        }
+        // Other tags are dropped; their text content stays.
+        i += tag[0].length;
+        continue;
+      }
+    }
+    if (char === '[' && text[i + 1] === '^') {
+      const ref = text.slice(i).match(/^\[\^([^\]\s]+)\]/);
+      if (ref && text[i + ref[0].length] !== ':') {
+        flush();
+        nodes.push({ type: 'footnoteRef', label: ref[1] });
+        i += ref[0].length;
+        continue;
+      }
+    }
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      flush();
+      const image = char === '!';
+      brackets.push({ index: nodes.length, image, active: true });
+      nodes.push({ type: 'text', text: image ? '![' : '[' });
+      i += image ? 2 : 1;
+      continue;
+    }
+    if (char === ']') {
+      flush();
+      const opener = brackets.pop();
+      const destination = opener && opener.active && text[i + 1] === '(' ? readDestination(text, i + 2) : null;
+      if (!destination) {
+        buffer += ']';
+        i += 1;
+        continue;
+      }
+      const children = processEmphasis(nodes.splice(opener.index + 1));
+      nodes.pop();
+      if (opener.image) {
+        nodes.push({ type: 'image', src: destination.href, alt: plainText(children) });
+      } else {
+        nodes.push({ type: 'link', href: destination.href, internal: destination.href.startsWith('#'), children });
+        // No links inside links.
+        for (const earlier of brackets) if (!earlier.image) earlier.active = false;
+      }
+      i = destination.end;
+      continue;
+    }
+    if (char === '*' || char === '_') {
+      const run = text.slice(i).match(char === '*' ? /^\*+/ : /^_+/)[0];
+      const before = i > 0 ? text[i - 1] : '';
+      const after = text[i + run.length] || '';
+      const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+      flush();
+      nodes.push({
+        type: 'delimiter',
+        char,
+        count: run.length,
+        originalCount: run.length,
+        canOpen: char === '*' ? leftFlanking : leftFlanking && (!rightFlanking || isPunctuation(before)),
+        canClose: char === '*' ? rightFlanking : rightFlanking && (!leftFlanking || isPunctuation(after)),
+      });
+      i += run.length;
+      continue;
+    }
+    buffer += char;
+    i += 1;
+  }
+  flush();
+  return mergeText(processEmphasis(nodes).filter((node) => node.type !== 'tag'));
+}
+
+function mergeText(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last && last.type === 'text') {
+      last.text += node.text;
+    } else {
+      merged.push(node.children ? { ...node, children: mergeText(node.children) } : node);
+    }
+  }
+  return merged;
+}
+
+// Returns { blocks, notes: [{ label, blocks }] } for a Markdown document.
+function markdownToBlocks(markdown) {
+  const notes = [];
+  const blocks = parseBlocks(markdown.replace(/\r\n?/g, '\n').split('\n'), notes);
+  return { blocks, notes };
+}
+
+module.exports = {
+  markdownToBlocks,
+  parseInline,
+};
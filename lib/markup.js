@@ -0,0 +1,38 @@
+/**
+ * HTML to Markdown (or any other output format) for a single EPUB content
+ * document, or a slice of one carved out by the table of contents.
+ *
+ * Parsing and rendering are separate steps: lib/ir.js turns the HTML into
+ * format-neutral blocks and lib/formats/ renders them. These two helpers do
+ * both in one call for callers that just want a string.
+ *
+ * When given a footnote registry (lib/notes.js), noterefs become footnote
+ * references and the referenced note bodies are left out of the running text;
+ * `renderFootnoteDefinitions()` renders them as the format's note list.
+ *
+ * Links to other content documents are dropped to their label unless a
+ * `resolveLink(filePath, fragment)` callback maps them to an output anchor.
+ * An `anchors` collector ({ headings: [], ids: Map }) records each heading's
+ * text and, for every element id, the index of the heading it falls under.
+ * `headingOffset` pushes every heading down that many levels (capped at h6).
+ * `format` picks the renderer (default 'markdown').
+ */
+
+const { htmlToBlocks, noteToBlocks } = require('./ir');
+const { getFormat } = require('./formats');
+
+function convertHtmlToMarkup(html, options = {}) {
+  const format = getFormat(options.format || 'markdown');
+  return format.renderBlocks(htmlToBlocks(html, options), options);
+}
+
+// notes: [{ label, node, filePath }] as returned by the registry's takeChapterNotes().
+function renderFootnoteDefinitions(notes, options = {}) {
+  const format = getFormat(options.format || 'markdown');
+  return format.renderFootnotes(notes.map((note) => ({ label: note.label, blocks: noteToBlocks(note, options) })));
+}
+
+module.exports = {
+  convertHtmlToMarkup,
+  renderFootnoteDefinitions,
+};
@@ -0,0 +1,323 @@
+/**
+ * OPF metadata extraction (EPUB 2 and 3) and YAML front matter output (and
+ * reading it back for `build`).
+ *
+ * EPUB3 attaches details to Dublin Core elements with
+ * `<meta refines="#id" property="...">`: creator roles and file-as names,
+ * title types, collection type and position. EPUB2 puts the same information
+ * in `opf:role`/`opf:file-as`/`opf:scheme` attributes and calibre's
+ * `<meta name="calibre:series">`. Both are folded into one plain object.
+ *
+ * `rendition` describes the layout: EPUB3 `rendition:*` properties, or the
+ * Kindle `fixed-layout`/`original-resolution` metas older comics carry.
+ */
+
+const { parseAttributes } = require('./html');
+const { decodeEntities, stripTags } = require('./text');
+const { resolveHref } = require('./epub');
+
+const AUTHOR_ROLES = new Set(['aut', 'author']);
+
+function readMetadataElements(opfText) {
+  const block = opfText.match(/<(?:\w+:)?metadata\b[^>]*>([\s\S]*?)<\/(?:\w+:)?metadata>/i);
+  const source = block ? block[1] : opfText;
+  const elements = [];
+  const elementRegex = /<((?:dc:\w+)|(?:opf:)?meta)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/gi;
+  let match;
+  while ((match = elementRegex.exec(source)) !== null) {
+    const [, name, attrSource, body] = match;
+    elements.push({
+      name: name.toLowerCase().replace(/^opf:/, ''),
+      attrs: parseAttributes(attrSource),
+      value: body === undefined ? '' : stripTags(body).replace(/\s+/g, ' ').trim(),
+      raw: body || '',
+    });
+  }
+  return elements;
+}
+
+function collectRefinements(elements) {
+  const refinements = new Map();
+  for (const element of elements) {
+    if (element.name !== 'meta' || !element.attrs.refines || !element.attrs.property) continue;
+    const id = element.attrs.refines.replace(/^#/, '');
+    if (!refinements.has(id)) refinements.set(id, {});
+    const props = refinements.get(id);
+    if (!(element.attrs.property in props)) props[element.attrs.property] = element.value;
+  }
+  return refinements;
+}
+
+function refined(element, refinements, property) {
+  const props = element.attrs.id ? refinements.get(element.attrs.id) : null;
+  return props && props[property] ? props[property] : null;
+}
+
+function parsePerson(element, refinements) {
+  return {
+    name: element.value,
+    role: refined(element, refinements, 'role') || element.attrs['opf:role'] || null,
+    fileAs: refined(element, refinements, 'file-as') || element.attrs['opf:file-as'] || null,
+  };
+}
+
+// Prefer identifiers declared as ISBNs, then anything shaped like one.
+function detectIsbn(identifiers) {
+  const declared = identifiers.filter(({ value, scheme }) => /isbn/i.test(scheme || '') || /^(urn:)?isbn:/i.test(value));
+  for (const { value } of [...declared, ...identifiers]) {
+    const digits = value.replace(/^(urn:)?isbn:?\s*/i, '').replace(/[-\s]/g, '');
+    if (/^(97[89]\d{10}|\d{9}[\dXx])$/.test(digits)) return digits.toUpperCase();
+  }
+  return null;
+}
+
+function findCover(elements, manifest, opfDir) {
+  const toPath = (item) => (item ? resolveHref(opfDir, item.href).filePath : null);
+  const items = Object.values(manifest);
+  const byProperty = items.find((item) => (item.properties || '').split(/\s+/).includes('cover-image'));
+  if (byProperty) return toPath(byProperty);
+  // EPUB2: <meta name="cover" content="manifest-id"/>.
+  const coverMeta = elements.find((element) => element.name === 'meta' && element.attrs.name === 'cover');
+  if (coverMeta && manifest[coverMeta.attrs.content]) return toPath(manifest[coverMeta.attrs.content]);
+  return null;
+}
+
+function parseSeries(elements, refinements) {
+  const collection = elements.find((element) => element.name === 'meta' && element.attrs.property === 'belongs-to-collection'
+    && (refined(element, refinements, 'collection-type') || 'series') === 'series');
+  if (collection) {
+    const position = parseFloat(refined(collection, refinements, 'group-position'));
+    return { name: collection.value, index: Number.isFinite(position) ? position : null };
+  }
+  const calibreSeries = elements.find((element) => element.name === 'meta' && element.attrs.name === 'calibre:series');
+  if (calibreSeries && calibreSeries.attrs.content) {
+    const indexMeta = elements.find((element) => element.name === 'meta' && element.attrs.name === 'calibre:series_index');
+    const position = indexMeta ? parseFloat(indexMeta.attrs.content) : NaN;
+    return { name: calibreSeries.attrs.content, index: Number.isFinite(position) ? position : null };
+  }
+  return null;
+}
+
+// `width=1200, height=1800` (rendition:viewport, a page's <meta name="viewport">)
+// or `1200x1800` (Kindle) as { width, height }, or null.
+function parseViewport(text) {
+  if (!text) return null;
+  const pair = text.match(/^\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*$/i);
+  const width = pair ? pair[1] : (text.match(/\bwidth\s*=\s*(\d+(?:\.\d+)?)/i) || [])[1];
+  const height = pair ? pair[2] : (text.match(/\bheight\s*=\s*(\d+(?:\.\d+)?)/i) || [])[1];
+  return width && height ? { width: Number(width), height: Number(height) } : null;
+}
+
+function parseRendition(elements) {
+  const property = (name) => {
+    const element = elements.find((candidate) => candidate.name === 'meta' && !candidate.attrs.refines
+      && candidate.attrs.property === `rendition:${name}`);
+    return element && element.value ? element.value : null;
+  };
+  const named = (name) => {
+    const element = elements.find((candidate) => candidate.name === 'meta' && candidate.attrs.name === name);
+    return element && element.attrs.content ? element.attrs.content : null;
+  };
+  const kindleFixed = /^true$/i.test(named('fixed-layout') || '');
+  return {
+    layout: property('layout') || (kindleFixed ? 'pre-paginated' : 'reflowable'),
+    spread: property('spread'),
+    orientation: property('orientation') || named('orientation-lock'),
+    viewport: parseViewport(property('viewport') || named('original-resolution')),
+  };
+}
+
+// `media:duration` values by the manifest id they refine (media overlays,
+// audio); the book's total is under ''. Values are SMIL clock strings.
+function parseMediaDurations(opfText) {
+  const durations = new Map();
+  for (const element of readMetadataElements(opfText)) {
+    if (element.name !== 'meta' || element.attrs.property !== 'media:duration' || !element.value) continue;
+    const id = (element.attrs.refines || '').replace(/^#/, '');
+    if (!durations.has(id)) durations.set(id, element.value);
+  }
+  return durations;
+}
+
+function parseMetadata(opfText, manifest = {}, opfDir = '') {
+  const elements = readMetadataElements(opfText);
+  const refinements = collectRefinements(elements);
+  const byName = (name) => elements.filter((element) => element.name === name && element.value);
+
+  const titles = byName('dc:title');
+  const mainTitle = titles.find((element) => refined(element, refinements, 'title-type') === 'main') || titles[0];
+  const subtitle = titles.find((element) => refined(element, refinements, 'title-type') === 'subtitle');
+
+  const identifiers = byName('dc:identifier').map((element) => ({
+    value: element.value,
+    scheme: refined(element, refinements, 'identifier-type') || element.attrs['opf:scheme'] || null,
+    id: element.attrs.id || null,
+  }));
+  const uniqueId = (opfText.match(/<package\b[^>]*>/i) || [''])[0];
+  const uniqueIdRef = parseAttributes(uniqueId.replace(/^<package|>$/gi, ''))['unique-identifier'];
+  const primary = identifiers.find((identifier) => identifier.id && identifier.id === uniqueIdRef) || identifiers[0];
+
+  const dates = byName('dc:date');
+  const publication = dates.find((element) => /publication/i.test(element.attrs['opf:event'] || '')) || dates[0];
+  const description = byName('dc:description')[0];
+  const modified = elements.find((element) => element.name === 'meta' && element.attrs.property === 'dcterms:modified');
+
+  return {
+    title: mainTitle ? mainTitle.value : null,
+    subtitle: subtitle ? subtitle.value : null,
+    creators: byName('dc:creator').map((element) => parsePerson(element, refinements)),
+    contributors: byName('dc:contributor').map((element) => parsePerson(element, refinements)),
+    language: byName('dc:language').map((element) => element.value)[0] || null,
+    languages: byName('dc:language').map((element) => element.value),
+    identifier: primary ? primary.value : null,
+    identifiers: identifiers.map(({ value, scheme }) => ({ value, scheme })),
+    isbn: detectIsbn(identifiers),
+    publisher: byName('dc:publisher').map((element) => element.value)[0] || null,
+    date: publication ? publication.value : null,
+    modified: modified ? modified.value : null,
+    subjects: byName('dc:subject').map((element) => element.value),
+    // Descriptions are often escaped HTML; decode, then drop the tags.
+    description: description ? stripTags(decodeEntities(description.raw)).replace(/\s+/g, ' ').trim() : null,
+    rights: byName('dc:rights').map((element) => element.value)[0] || null,
+    series: parseSeries(elements, refinements),
+    cover: findCover(elements, manifest, opfDir),
+    rendition: parseRendition(elements),
+  };
+}
+
+function authorNames(metadata) {
+  const authors = metadata.creators.filter((creator) => !creator.role || AUTHOR_ROLES.has(creator.role.toLowerCase()));
+  return (authors.length ? authors : metadata.creators).map((creator) => creator.name);
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  // JSON strings are valid YAML double-quoted scalars.
+  return JSON.stringify(String(value));
+}
+
+function toYaml(fields) {
+  const lines = [];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined || (Array.isArray(value) && !value.length)) continue;
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      for (const item of value) {
+        if (item && typeof item === 'object') {
+          const entries = Object.entries(item).filter(([, v]) => v !== null && v !== undefined);
+          entries.forEach(([k, v], idx) => lines.push(`${idx === 0 ? '  - ' : '    '}${k}: ${yamlScalar(v)}`));
+        } else {
+          lines.push(`  - ${yamlScalar(item)}`);
+        }
+      }
+    } else {
+      lines.push(`${key}: ${yamlScalar(value)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Book-level front matter; pass `chapter` ({ index, title, type }) for split
+// files, where `title` becomes the chapter title and the book title moves to `book_title`.
+function renderFrontMatter(metadata, chapter = null) {
+  const fields = {};
+  if (chapter) {
+    fields.title = chapter.title;
+    fields.book_title = metadata.title;
+    fields.chapter = chapter.index;
+    fields.type = chapter.type;
+  } else {
+    fields.title = metadata.title;
+  }
+  Object.assign(fields, {
+    subtitle: metadata.subtitle,
+    authors: authorNames(metadata),
+    creators: metadata.creators.map(({ name, role, fileAs }) => ({ name, role, file_as: fileAs })),
+    contributors: metadata.contributors.map(({ name, role, fileAs }) => ({ name, role, file_as: fileAs })),
+    language: metadata.language,
+    identifier: metadata.identifier,
+    isbn: metadata.isbn,
+    publisher: metadata.publisher,
+    date: metadata.date,
+    subjects: metadata.subjects,
+    description: metadata.description,
+    series: metadata.series ? metadata.series.name : null,
+    series_index: metadata.series ? metadata.series.index : null,
+  });
+  const { rendition } = metadata;
+  if (rendition && rendition.layout === 'pre-paginated') {
+    Object.assign(fields, {
+      layout: rendition.layout,
+      spread: rendition.spread,
+      viewport: rendition.viewport ? `${rendition.viewport.width}x${rendition.viewport.height}` : null,
+    });
+  }
+  return `---\n${toYaml(fields)}\n---`;
+}
+
+// Plain, quoted, numeric and boolean scalars; a bare `-` item list of them or
+// of `key: value` maps, as toYaml() writes (and people type by hand).
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === '' || value === 'null' || value === '~') return null;
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(parseYamlScalar).filter((item) => item !== null);
+  }
+  return value;
+}
+
+function fromYaml(text) {
+  const fields = {};
+  let listKey = null;
+  let item = null;
+  for (const line of text.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const entry = line.match(/^([\w-]+):(?:\s+(.*))?$/);
+    if (entry) {
+      const [, key, value = ''] = entry;
+      listKey = value.trim() ? null : key;
+      fields[key] = value.trim() ? parseYamlScalar(value) : [];
+      item = null;
+      continue;
+    }
+    if (!listKey) continue;
+    const listItem = line.match(/^\s*-\s+(.*)$/);
+    const pair = (listItem ? listItem[1] : line).match(/^\s*([\w-]+):\s+(.*)$/);
+    if (listItem && !pair) {
+      fields[listKey].push(parseYamlScalar(listItem[1]));
+    } else if (pair) {
+      if (listItem || !item) {
+        item = {};
+        fields[listKey].push(item);
+      }
+      item[pair[1]] = parseYamlScalar(pair[2]);
+    }
+  }
+  return fields;
+}
+
+// Splits a leading `---` front matter block off a Markdown file. Returns
+// { fields, body }; `fields` is empty when there is none.
+function parseFrontMatter(text) {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { fields: {}, body: text };
+  return { fields: fromYaml(match[1].replace(/\r/g, '')), body: text.slice(match[0].length) };
+}
+
+module.exports = {
+  parseMetadata,
+  parseMediaDurations,
+  parseViewport,
+  renderFrontMatter,
+  parseFrontMatter,
+};
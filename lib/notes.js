@@ -0,0 +1,156 @@
+/**
+ * Footnote and endnote discovery for EPUB3 semantic markup.
+ *
+ * Noterefs are links marked `epub:type="noteref"` (or `role="doc-noteref"`);
+ * their targets are the note bodies, usually `epub:type="footnote"`,
+ * `"endnote"` or an `<aside>`, often in a separate notes file. Notes are keyed
+ * by archive path plus fragment id so references resolve across spine files.
+ *
+ * The registry hands out Markdown footnote labels in order of first reference
+ * across the whole book and remembers which notes each chapter referenced, so
+ * the definitions can be written at the end of that chapter.
+ */
+
+const path = require('node:path');
+const { resolveHref } = require('./epub');
+
+const NOTE_TYPES = new Set(['footnote', 'endnote', 'rearnote', 'note']);
+
+function semanticTypes(node) {
+  if (node.type !== 'element') return new Set();
+  const raw = `${node.attrs['epub:type'] || ''} ${node.attrs.role || ''}`;
+  return new Set(raw.split(/\s+/).filter(Boolean).map((token) => token.replace(/^doc-/, '')));
+}
+
+function isNoteref(node) {
+  return node.type === 'element' && node.name === 'a' && Boolean(node.attrs.href) && semanticTypes(node).has('noteref');
+}
+
+function isBacklink(node) {
+  return node.type === 'element' && node.name === 'a' && semanticTypes(node).has('backlink');
+}
+
+function isNoteElement(node) {
+  const types = semanticTypes(node);
+  return Array.from(types).some((type) => NOTE_TYPES.has(type));
+}
+
+function noteKey(filePath, id) {
+  return `${filePath}#${id}`;
+}
+
+function resolveNoteref(node, filePath) {
+  const href = node.attrs.href;
+  const resolved = href.startsWith('#')
+    ? { filePath, fragment: href.slice(1) }
+    : resolveHref(path.posix.dirname(filePath), href);
+  return resolved.fragment ? noteKey(resolved.filePath, resolved.fragment) : null;
+}
+
+function isEmptyAnchor(node) {
+  return node.type === 'element' && (node.name === 'a' || node.name === 'span')
+    && !node.children.some((child) => child.type === 'element' || child.value.trim());
+}
+
+function walk(node, visit) {
+  visit(node);
+  if (node.children) {
+    for (const child of node.children) walk(child, visit);
+  }
+}
+
+// An empty `<a id>` marker stands for the block that contains it.
+function noteContainer(node) {
+  return isEmptyAnchor(node) && node.parent && node.parent.type === 'element' ? node.parent : node;
+}
+
+// Collects note bodies from parsed spine documents. Feed documents in spine
+// order with `add(filePath, tree)`, then call `finish()` for the note map.
+// `refersTo(filePath)` tells whether a noteref seen so far points into a file.
+function createNoteCollector() {
+  const referenced = new Set();
+  const referencedFiles = new Set();
+  const candidates = new Map();
+
+  function add(filePath, tree) {
+    const ids = [];
+    walk(tree, (node) => {
+      if (node.type !== 'element') return;
+      if (isNoteref(node)) {
+        const key = resolveNoteref(node, filePath);
+        if (key) {
+          referenced.add(key);
+          referencedFiles.add(key.slice(0, key.indexOf('#')));
+        }
+      }
+      if (node.attrs.id) ids.push(node);
+    });
+    for (const node of ids) {
+      const key = noteKey(filePath, node.attrs.id);
+      if (candidates.has(key)) continue;
+      if (isNoteElement(node) || referenced.has(key)) {
+        candidates.set(key, { key, filePath, node: noteContainer(node) });
+      }
+    }
+  }
+
+  function finish() {
+    const notes = new Map();
+    for (const key of referenced) {
+      const note = candidates.get(key);
+      if (!note) continue;
+      // Detach so the rest of the document tree can be collected.
+      note.node.parent = null;
+      notes.set(key, note);
+    }
+    return notes;
+  }
+
+  return { add, refersTo: (filePath) => referencedFiles.has(filePath), finish };
+}
+
+function createFootnoteRegistry(notes) {
+  const labels = new Map();
+  const defined = new Set();
+  let chapterKeys = [];
+
+  function reference(key) {
+    if (!notes.has(key)) return null;
+    if (!labels.has(key)) labels.set(key, String(labels.size + 1));
+    if (!chapterKeys.includes(key)) chapterKeys.push(key);
+    return labels.get(key);
+  }
+
+  // True for an element that is (or wraps the marker of) a referenced note body.
+  function isNoteBody(filePath, node) {
+    if (node.type !== 'element') return false;
+    if (node.attrs.id && notes.has(noteKey(filePath, node.attrs.id))) return true;
+    const first = node.children.find((child) => child.type === 'element' || child.value.trim());
+    return Boolean(first && first.type === 'element' && first.attrs.id && isEmptyAnchor(first)
+      && notes.has(noteKey(filePath, first.attrs.id)));
+  }
+
+  // Notes referenced since the last call. With `repeat`, notes already defined
+  // in an earlier chapter are returned again (each split file stands alone).
+  function takeChapterNotes({ repeat = false } = {}) {
+    const taken = [];
+    for (let i = 0; i < chapterKeys.length; i += 1) {
+      const key = chapterKeys[i];
+      if (!repeat && defined.has(key)) continue;
+      defined.add(key);
+      taken.push({ ...notes.get(key), label: labels.get(key) });
+    }
+    chapterKeys = [];
+    return taken;
+  }
+
+  return { reference, isNoteBody, takeChapterNotes };
+}
+
+module.exports = {
+  isNoteref,
+  isBacklink,
+  resolveNoteref,
+  createNoteCollector,
+  createFootnoteRegistry,
+};
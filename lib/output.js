@@ -0,0 +1,138 @@
+/**
+ * Writing conversion results to disk: either one combined file, or a folder
+ * of chapter files, in the result's format, or JSONL records for chunked
+ * output. Extracted images (and the cover) are copied next to the output as
+ * the chapters that use them are written; a split folder also gets the table
+ * of contents file when there is one. Shared by the CLI and the batch
+ * workers. Chapters are written as they are rendered and not kept afterwards.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { once } = require('node:events');
+const { getFormat } = require('./formats');
+
+// True when writing to `target` would replace something (an empty folder
+// doesn't count).
+function isOccupied(target) {
+  if (!fs.existsSync(target)) return false;
+  if (!fs.statSync(target).isDirectory()) return true;
+  return fs.readdirSync(target).length > 0;
+}
+
+async function write(stream, text) {
+  if (!stream.write(text)) await once(stream, 'drain');
+}
+
+function formatOf(result) {
+  return result.format || getFormat('markdown');
+}
+
+// Opens a file path or takes a writable stream (stdout). A failed file write
+// surfaces at the next emit() or at close(); files end with `ending`.
+function openTarget(target) {
+  const toFile = typeof target === 'string';
+  if (toFile) fs.mkdirSync(path.dirname(target), { recursive: true });
+  const stream = toFile ? fs.createWriteStream(target, 'utf8') : target;
+  let failure = null;
+  if (toFile) stream.on('error', (err) => { failure = err; });
+  return {
+    async emit(text) {
+      if (failure) throw failure;
+      await write(stream, text);
+    },
+    async close(ending) {
+      if (!toFile) return;
+      if (failure) throw failure;
+      stream.end(ending);
+      await once(stream, 'finish');
+    },
+  };
+}
+
+// Returns copy(image) for { path, target } images: writes the archive entry
+// to `target` below `root`, once per target. Failures go to `onWarning`.
+function createImageCopier(result, root, onWarning) {
+  const copied = new Set();
+  return (image) => {
+    if (!image || !image.target) return;
+    const dest = path.join(root, ...image.target.split('/'));
+    if (copied.has(dest)) return;
+    copied.add(dest);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    try {
+      fs.writeFileSync(dest, result.archive.read(image.path));
+    } catch (err) {
+      onWarning(`failed to copy image ${image.path}: ${err.message}`);
+    }
+  };
+}
+
+// Writes the document start and each chapter as it arrives, so
+// `result.chapters` can be the lazy iterator from streamBook(). `target` is a
+// file path or a writable stream (stdout); files get a trailing newline.
+// Extracted images are copied relative to the file's folder (never for a
+// stream). Resolves with the number of chapters written.
+async function writeSingle(result, target, { onWarning = () => {} } = {}) {
+  const out = openTarget(target);
+  const format = formatOf(result);
+  const copyImage = typeof target === 'string' ? createImageCopier(result, path.dirname(target), onWarning) : () => {};
+  let written = 0;
+  copyImage(result.cover);
+  await out.emit(format.documentStart(result));
+  for (const chapter of result.chapters) {
+    chapter.images.forEach(copyImage);
+    if (!chapter.content) continue;
+    await out.emit((written ? format.separator : '') + chapter.content);
+    written += 1;
+  }
+  await out.emit(format.documentEnd(result));
+  await out.close('\n');
+  return written;
+}
+
+// Writes one JSON object per line (JSONL) from any iterable of records.
+// Resolves with the number of records written.
+async function writeJsonLines(records, target) {
+  const out = openTarget(target);
+  let written = 0;
+  for (const record of records) {
+    await out.emit(`${JSON.stringify(record)}\n`);
+    written += 1;
+  }
+  await out.close('');
+  return written;
+}
+
+// Writes chapter files (and copies their images) one chapter at a time,
+// after the table of contents file if the result has one. Returns the number
+// of chapter files written; failed image copies are reported through
+// `onWarning` and don't stop the rest.
+function writeSplit(result, chapterDir, { onWarning = () => {} } = {}) {
+  fs.mkdirSync(chapterDir, { recursive: true });
+  const format = formatOf(result);
+  const copyImage = createImageCopier(result, chapterDir, onWarning);
+  let written = 0;
+  copyImage(result.cover);
+  if (result.contents && result.contentsFile) {
+    const contents = format.chapterFile({ title: result.contentsTitle, content: result.contents, frontMatter: null }, result);
+    fs.writeFileSync(path.join(chapterDir, result.contentsFile), contents + '\n', 'utf8');
+  }
+  for (const chapter of result.chapters) {
+    chapter.images.forEach(copyImage);
+    if (!chapter.content) continue;
+    const content = format.chapterFile(chapter, result);
+    const dest = path.join(chapterDir, ...chapter.fileName.split('/'));
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, content + '\n', 'utf8');
+    written += 1;
+  }
+  return written;
+}
+
+module.exports = {
+  isOccupied,
+  writeSingle,
+  writeJsonLines,
+  writeSplit,
+};
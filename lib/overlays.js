@@ -0,0 +1,213 @@
+/**
+ * EPUB3 media overlays (read-aloud audio). A content document's manifest item
+ * names a SMIL file with `media-overlay`; its `<par>` elements pair a text
+ * fragment (`chapter1.xhtml#p12`) with an audio clip
+ * (`<audio src="ch1.mp3" clipBegin="0:00:04.200" clipEnd="0:00:09.850"/>`).
+ *
+ * readOverlays() collects those pairs in spine order as timing clips,
+ * `{ chapter, file, fragment, audio, start, end, text }` with times in
+ * seconds, and they are written out as a JSON sidecar or as one WebVTT file
+ * per audio file, cue ids being the fragment ids.
+ *
+ * A clip without `clipEnd` plays to the end of its audio: it ends where the
+ * next clip of that audio starts or, for the last one, at the `media:duration`
+ * the OPF gives the audio (or the overlay, when that plays a single file).
+ */
+
+const path = require('node:path');
+const { parseAttributes, parseHtml, textContent } = require('./html');
+const { decodeText } = require('./text');
+const { resolveHref, findAnchorPosition } = require('./epub');
+const { parseMediaDurations } = require('./metadata');
+
+const OVERLAY_FORMATS = ['json', 'vtt'];
+const TIME_UNITS = { h: 3600, min: 60, s: 1, ms: 0.001 };
+
+// SMIL clock values in seconds: `1:02:03.5`, `02:03.5`, `3.5s`, `350ms`,
+// `2min`, `1h`, or a bare number of seconds. Null when unreadable.
+function parseClock(value) {
+  if (!value) return null;
+  const text = value.trim();
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  let seconds = null;
+  if (clock) {
+    seconds = Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  } else {
+    const count = text.match(/^(\d+(?:\.\d+)?)(h|min|s|ms)?$/);
+    if (count) seconds = Number(count[1]) * TIME_UNITS[count[2] || 's'];
+  }
+  return seconds === null ? null : Math.round(seconds * 1000) / 1000;
+}
+
+function tagAttributes(tag) {
+  return parseAttributes(tag.replace(/^<[\w:]+|\/?>$/g, ''));
+}
+
+// The `<par>` pairs of a SMIL document, with `src`s resolved against
+// `baseDir`: [{ file, fragment, audio, start, end }]. `end` is null when the
+// clip runs to the end of the audio.
+function parseSmil(smilText, baseDir) {
+  const pars = [];
+  for (const [par] of smilText.matchAll(/<(?:\w+:)?par\b[\s\S]*?<\/(?:\w+:)?par\s*>/gi)) {
+    const textTag = par.match(/<(?:\w+:)?text\b[^>]*>/i);
+    const audioTag = par.match(/<(?:\w+:)?audio\b[^>]*>/i);
+    if (!textTag || !audioTag) continue;
+    const text = tagAttributes(textTag[0]);
+    const audio = tagAttributes(audioTag[0]);
+    if (!text.src || !audio.src) continue;
+    const target = resolveHref(baseDir, text.src);
+    pars.push({
+      file: target.filePath,
+      fragment: target.fragment,
+      audio: resolveHref(baseDir, audio.src).filePath,
+      start: parseClock(audio.clipbegin) || 0,
+      end: parseClock(audio.clipend),
+    });
+  }
+  return pars;
+}
+
+// id -> whitespace-normalised text of that element.
+function textsById(html) {
+  const texts = new Map();
+  const visit = (node) => {
+    if (node.type !== 'element' && node.type !== 'root') return;
+    if (node.attrs && node.attrs.id && !texts.has(node.attrs.id)) {
+      texts.set(node.attrs.id, textContent(node).replace(/\s+/g, ' ').trim());
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(parseHtml(html));
+  return texts;
+}
+
+// Where the chapters showing `file` start in its `html`: [{ index, start }]
+// with 1-based chapter indexes. A chapter of pages holds the whole file.
+function chapterStarts(book, html, file) {
+  const starts = [];
+  book.chapters.forEach((chapter, idx) => {
+    const shows = chapter.pages ? chapter.pages.some((page) => page.path === file) : chapter.filePath === file;
+    const start = !shows || chapter.pages ? 0 : findAnchorPosition(html, chapter.fragment);
+    if (shows && start !== null) starts.push({ index: idx + 1, start });
+  });
+  return starts;
+}
+
+// Timing clips for every spine document with a media overlay, in spine
+// order. Missing SMIL files and clips whose end can't be told are reported
+// in `warnings`.
+function readOverlays(book) {
+  const clips = [];
+  const warnings = [];
+  const read = (name) => decodeText(book.archive.read(name));
+  const durations = parseMediaDurations(read(book.opfPath));
+  const idsByPath = new Map(Object.entries(book.manifest)
+    .map(([id, item]) => [resolveHref(book.opfDir, item.href).filePath, id]));
+  for (const item of book.htmlItems) {
+    const overlayId = book.manifest[item.idref].mediaOverlay;
+    if (!overlayId) continue;
+    const smilItem = book.manifest[overlayId];
+    const smilPath = smilItem ? resolveHref(book.opfDir, smilItem.href).filePath : null;
+    if (!smilPath || !book.archive.has(smilPath)) {
+      warnings.push(`Media overlay "${overlayId}" of ${item.path} is missing; skipping its timings.`);
+      continue;
+    }
+    const html = book.archive.has(item.path) ? read(item.path) : '';
+    const texts = textsById(html);
+    const starts = chapterStarts(book, html, item.path);
+    // The chapter a clip belongs to is the last one starting before its text.
+    const chapterOf = (fragment) => {
+      const position = findAnchorPosition(html, fragment) || 0;
+      const found = starts.filter((start) => start.start <= position).pop();
+      return found ? found.index : null;
+    };
+    const first = clips.length;
+    for (const par of parseSmil(read(smilPath), path.posix.dirname(smilPath))) {
+      const inItem = par.file === item.path;
+      clips.push({
+        chapter: inItem ? chapterOf(par.fragment) : null,
+        file: par.file,
+        fragment: par.fragment,
+        audio: par.audio,
+        start: par.start,
+        end: par.end,
+        text: inItem && par.fragment ? texts.get(par.fragment) || '' : '',
+      });
+    }
+    // A clip without clipEnd plays until the next clip of the same audio, or
+    // to the end of the audio.
+    const added = clips.slice(first);
+    const singleAudio = new Set(added.map((clip) => clip.audio)).size === 1;
+    for (const clip of added) {
+      if (clip.end !== null) continue;
+      const next = added
+        .filter((other) => other.audio === clip.audio && other.start > clip.start)
+        .sort((a, b) => a.start - b.start)[0];
+      const duration = parseClock(durations.get(idsByPath.get(clip.audio))
+        || (singleAudio ? durations.get(overlayId) : null));
+      if (next) clip.end = next.start;
+      else if (duration !== null && duration > clip.start) clip.end = duration;
+      else warnings.push(`Clip ${clip.file}#${clip.fragment || ''} in ${smilPath} has no end and ${clip.audio} no media:duration; it is left out of WebVTT output.`);
+    }
+  }
+  return { clips, warnings };
+}
+
+function overlaysJson(clips) {
+  return JSON.stringify({ audio: [...new Set(clips.map((clip) => clip.audio))], clips }, null, 2);
+}
+
+function vttTime(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:`
+    + `${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+}
+
+function vttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// One WebVTT document per audio file: [{ audio, name, text }], `name` being
+// `<audio file stem>.vtt` (numbered when two audio files share a stem). Clips
+// with no known end are left out.
+function overlaysWebVtt(clips) {
+  const byAudio = new Map();
+  for (const clip of clips) {
+    if (clip.end === null || clip.end <= clip.start) continue;
+    if (!byAudio.has(clip.audio)) byAudio.set(clip.audio, []);
+    byAudio.get(clip.audio).push(clip);
+  }
+  const taken = new Set();
+  return [...byAudio].map(([audio, audioClips]) => {
+    const stem = path.posix.basename(audio, path.posix.extname(audio));
+    let name = `${stem}.vtt`;
+    for (let n = 2; taken.has(name.toLowerCase()); n += 1) name = `${stem}-${n}.vtt`;
+    taken.add(name.toLowerCase());
+    const cues = audioClips
+      .sort((a, b) => a.start - b.start)
+      .map((clip) => [
+        ...(clip.fragment ? [clip.fragment.replace(/-->|\s+/g, '_')] : []),
+        `${vttTime(clip.start)} --> ${vttTime(clip.end)}`,
+        vttText(clip.text || clip.fragment || ''),
+      ].join('\n'));
+    return { audio, name, text: ['WEBVTT', ...cues].join('\n\n') };
+  });
+}
+
+// The sidecar files for `format` ('json' or 'vtt') as [{ name, text }]:
+// `<prefix>overlays.json`, or `<prefix><audio stem>.vtt` per audio file.
+function overlayFiles(clips, format, prefix = '') {
+  if (format === 'vtt') return overlaysWebVtt(clips).map(({ name, text }) => ({ name: `${prefix}${name}`, text }));
+  return [{ name: `${prefix}overlays.json`, text: overlaysJson(clips) }];
+}
+
+module.exports = {
+  OVERLAY_FORMATS,
+  parseClock,
+  parseSmil,
+  readOverlays,
+  overlaysJson,
+  overlaysWebVtt,
+  overlayFiles,
+};
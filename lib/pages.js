@@ -0,0 +1,95 @@
+/**
+ * Paged books: fixed-layout EPUBs (comics, manga, picture books) and spine
+ * items that are images rather than documents. A fixed-layout page is mostly
+ * one picture positioned for a set viewport, often wrapped in
+ * `<svg><image/></svg>`, so reading it as text finds next to nothing.
+ *
+ * Instead each page becomes one image (its first `<img>` or SVG `<image>`,
+ * or the spine item itself when that is an image) followed by any text laid
+ * over it. Chapters from the TOC take every page up to the next chapter's;
+ * a book with no TOC is one chapter of all its pages.
+ */
+
+const path = require('node:path');
+const { htmlToBlocks, hasContent } = require('./ir');
+const { resolveHref } = require('./epub');
+
+// pages: [{ path, image, number }] in spine order; `chapters` carry their
+// `spineIdx` (past the end for files outside the spine). Pages before the
+// first chapter go to it; of several chapters starting on one page, the last
+// gets the pages and the others come out empty.
+function assignPages(chapters, pages) {
+  const inSpine = chapters.filter((chapter) => chapter.spineIdx < pages.length);
+  for (const chapter of chapters) chapter.pages = [];
+  inSpine.forEach((chapter, idx) => {
+    const from = idx === 0 ? 0 : chapter.spineIdx;
+    const to = idx + 1 < inSpine.length ? inSpine[idx + 1].spineIdx : pages.length;
+    chapter.pages = pages.slice(from, to);
+  });
+  return chapters;
+}
+
+// The first image node anywhere in a block tree.
+function findImage(value) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findImage(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!value || typeof value !== 'object') return null;
+  if (value.type === 'image') return value;
+  return findImage(Object.values(value).filter((item) => item && typeof item === 'object'));
+}
+
+function dropImages(nodes) {
+  return nodes
+    .filter((node) => node.type !== 'image')
+    .map((node) => (node.children ? { ...node, children: dropImages(node.children) } : node));
+}
+
+// The page's text with its pictures taken out: captions and text overlays.
+function overlayBlocks(blocks) {
+  return blocks.flatMap((block) => {
+    if (block.type === 'paragraph') {
+      const content = dropImages(block.content);
+      return hasContent(content) ? [{ ...block, content }] : [];
+    }
+    if (block.type === 'figure') {
+      return [...overlayBlocks(block.blocks), ...(block.caption ? [{ type: 'paragraph', content: block.caption }] : [])];
+    }
+    return [block];
+  });
+}
+
+// Blocks for one page. `html` is the page document, or null for a raster
+// image item; `options` are htmlToBlocks() options. Image sources an image
+// policy leaves alone are made relative to `opfDir`, for page documents and
+// image items alike, so all pages' pictures are found from one place. An
+// image without alt text is called `Page <n>`.
+function pageBlocks(html, page, options, opfDir) {
+  const rewriteImageSrc = (src, imageCtx) => {
+    const rewritten = options.rewriteImageSrc ? options.rewriteImageSrc(src, imageCtx) : src;
+    if (rewritten !== src || /^[a-z][a-z0-9+.-]*:/i.test(src)) return rewritten;
+    const entryName = resolveHref(imageCtx.baseDir, src).filePath;
+    return path.posix.relative(opfDir, entryName).split('/').map(encodeURIComponent).join('/');
+  };
+  const ctx = { ...options, rewriteImageSrc, baseDir: path.posix.dirname(page.path), filePath: page.path };
+  const blocks = html === null ? [] : htmlToBlocks(html, ctx);
+  let image = findImage(blocks);
+  // A drawn SVG page has no <image> of its own; it is the picture.
+  if (!image && page.image) {
+    image = findImage(htmlToBlocks(`<img src="${encodeURIComponent(path.posix.basename(page.path))}" alt="">`, ctx));
+  }
+  if (!image) return blocks;
+  return [
+    { type: 'paragraph', content: [{ ...image, alt: image.alt || `Page ${page.number}` }] },
+    ...overlayBlocks(blocks),
+  ];
+}
+
+module.exports = {
+  assignPages,
+  pageBlocks,
+};
@@ -0,0 +1,201 @@
+/**
+ * Conversion rules for publisher quirks, so `<p class="chapter-num">` can
+ * become a heading or `<div class="ornament">` can go away without touching
+ * the converter. A rule maps a selector to an action:
+ *
+ *   { "selector": "p.chapter-num", "action": "heading", "level": 2 }
+ *
+ * Selectors are simple: a tag name (or `*`), `.class`es, an `#id` and
+ * attribute tests (`[epub:type~=pagebreak]`, `[lang=fr]`, `[data-note]`);
+ * commas separate alternatives. There are no combinators.
+ *
+ * Actions: `heading` (with `level`, before any nesting shift), `paragraph`,
+ * `emphasis`, `strong`, `code`, `drop`, `unwrap` (keep the content, lose the
+ * element), `rule` (a thematic break) and `replace` (with `text`, in which
+ * `{text}` stands for the element's text). In a JS config or hook module the
+ * action may be a function `(node, { text, filePath })` that returns one of
+ * these as an object (`{ action: 'heading', level: 2 }`), a string to replace
+ * the element with, or nothing to leave the element alone.
+ *
+ * The config is `.epub2markuprc.json` or `.epub2markuprc.js` in the working
+ * directory or the nearest folder above it, or the file given with --config:
+ *
+ *   { "rules": [...], "hooks": ["./quirks.js"], "profiles": { "name": { "rules": [...], "hooks": [...] } } }
+ *
+ * Hook modules export a rule list (or `{ rules }`); their paths are relative
+ * to the config file. The rules of the profile picked with --profile are
+ * tried before the top-level ones, and the first rule that matches wins.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { textContent } = require('./html');
+
+const CONFIG_NAMES = ['.epub2markuprc.json', '.epub2markuprc.js'];
+
+const ACTIONS = new Set(['heading', 'paragraph', 'emphasis', 'strong', 'code', 'drop', 'unwrap', 'rule', 'replace']);
+
+const SIMPLE_SELECTOR = /^([a-zA-Z][\w:-]*|\*)?((?:\.[\w-]+|#[\w-]+|\[[\w:-]+(?:[~|^$*]?=(?:"[^"]*"|'[^']*'|[^\]]*))?\])*)$/;
+const SELECTOR_PART = /\.([\w-]+)|#([\w-]+)|\[([\w:-]+)(?:([~|^$*]?=)(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/g;
+
+// `p.chapter-num, div[epub:type~=pagebreak]` -> test(node) functions.
+function parseSelector(selector) {
+  return selector.split(',').map((alternative) => {
+    const source = alternative.trim();
+    const match = source.match(SIMPLE_SELECTOR);
+    if (!source || !match) throw new Error(`Unsupported selector: "${alternative.trim()}"`);
+    const tag = match[1] && match[1] !== '*' ? match[1].toLowerCase() : null;
+    const tests = [];
+    for (const part of match[2].matchAll(SELECTOR_PART)) {
+      const [, className, id, attr, operator, ...values] = part;
+      if (className) {
+        tests.push((node) => (node.attrs.class || '').split(/\s+/).includes(className));
+      } else if (id) {
+        tests.push((node) => node.attrs.id === id);
+      } else {
+        const name = attr.toLowerCase();
+        const expected = values.find((value) => value !== undefined);
+        tests.push((node) => {
+          const actual = node.attrs[name];
+          if (actual === undefined) return false;
+          switch (operator) {
+            case undefined: return true;
+            case '=': return actual === expected;
+            case '~=': return actual.split(/\s+/).includes(expected);
+            case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+            case '^=': return actual.startsWith(expected);
+            case '$=': return actual.endsWith(expected);
+            default: return actual.includes(expected);
+          }
+        });
+      }
+    }
+    return (node) => (!tag || node.name === tag) && tests.every((test) => test(node));
+  });
+}
+
+function checkAction(result, where) {
+  if (!ACTIONS.has(result.action)) {
+    throw new Error(`${where}: unknown action "${result.action}"; use one of ${[...ACTIONS].join(', ')}.`);
+  }
+  if (result.action === 'heading' && !(Number.isInteger(result.level) && result.level >= 1 && result.level <= 6)) {
+    throw new Error(`${where}: a heading needs a level from 1 to 6.`);
+  }
+  if (result.action === 'replace' && typeof result.text !== 'string') {
+    throw new Error(`${where}: replace needs a text.`);
+  }
+}
+
+// Returns match(node, filePath) -> the action for an element ({ action,
+// level, text }, with `{text}` filled in), or null. Rules are checked here,
+// so a bad config fails before any conversion starts.
+function createRuleSet(rules) {
+  const compiled = rules.map((rule, idx) => {
+    const where = `Rule ${idx + 1}${rule && rule.selector ? ` (${rule.selector})` : ''}`;
+    if (!rule || typeof rule.selector !== 'string') throw new Error(`${where}: a rule needs a selector.`);
+    if (typeof rule.action !== 'function') checkAction(rule, where);
+    let tests;
+    try {
+      tests = parseSelector(rule.selector);
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+    return { rule, where, test: (node) => tests.some((test) => test(node)) };
+  });
+  const cache = new WeakMap();
+
+  function resolve({ rule, where }, node, filePath) {
+    let result = rule;
+    if (typeof rule.action === 'function') {
+      result = rule.action(node, { text: textContent(node), filePath });
+      if (result === null || result === undefined || result === false) return null;
+      if (typeof result === 'string') result = { action: 'replace', text: result };
+      checkAction(result, where);
+    }
+    const resolved = { action: result.action, level: result.level };
+    if (result.action === 'replace') {
+      resolved.text = result.text.replace(/\{text\}/g, () => textContent(node).replace(/\s+/g, ' ').trim());
+    }
+    return resolved;
+  }
+
+  return {
+    match(node, filePath = null) {
+      if (node.type !== 'element') return null;
+      if (!cache.has(node)) {
+        let found = null;
+        for (const entry of compiled) {
+          if (!entry.test(node)) continue;
+          found = resolve(entry, node, filePath);
+          if (found) break;
+        }
+        cache.set(node, found);
+      }
+      return cache.get(node);
+    },
+  };
+}
+
+// The nearest config file in `cwd` or above it, or null.
+function findConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    for (const name of CONFIG_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function readConfig(file) {
+  if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+  if (/\.c?js$/i.test(file)) return require(file);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// A section's own rules, then those of its hook modules.
+function sectionRules(section, baseDir) {
+  const hooks = (section.hooks || []).flatMap((hook) => {
+    const exported = require(path.resolve(baseDir, hook));
+    return Array.isArray(exported) ? exported : exported.rules || [];
+  });
+  return [...(section.rules || []), ...hooks];
+}
+
+// Returns the rules to convert with: those of `profile` first, then the
+// top-level ones. `configPath` defaults to findConfig(); no config means no
+// rules (an error if a profile was asked for).
+function loadRules({ configPath = findConfig(), profile = null } = {}) {
+  if (!configPath) {
+    if (profile) throw new Error(`Profile "${profile}" asked for, but there is no ${CONFIG_NAMES[0]} (or --config).`);
+    return [];
+  }
+  const file = path.resolve(configPath);
+  const config = readConfig(file);
+  const baseDir = path.dirname(file);
+  const rules = [];
+  if (profile) {
+    const profiles = config.profiles || {};
+    if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      const known = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}" in ${file}${known.length ? `; profiles: ${known.join(', ')}` : ''}.`);
+    }
+    rules.push(...sectionRules(profiles[profile], baseDir));
+  }
+  rules.push(...sectionRules(config, baseDir));
+  createRuleSet(rules);
+  return rules;
+}
+
+module.exports = {
+  createRuleSet,
+  findConfig,
+  loadRules,
+};
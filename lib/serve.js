@@ -0,0 +1,281 @@
+/**
+ * HTTP conversion service for the `serve` command, so other tools can post an
+ * EPUB instead of running the CLI and reading its output. Built on `node:http`
+ * alone:
+ *
+ *   POST /convert?format=json&split=true   the converted book
+ *   POST /metadata?rendition=ja            { metadata, renditions, chapters, warnings }
+ *   POST /validate                         the --check report
+ *
+ * The request body is the EPUB. /convert takes the conversion flags as query
+ * options with the CLI's names (`format`, `split`, `nested`, `toc`,
+ * `summary`, `internal-links`, `front-matter`, `toc-depth`, `include`,
+ * `exclude`, `rendition`, `image-policy`, `chunk`, `chunk-unit`, `chunk-overlap`) and
+ * answers with the document itself, JSONL for `chunk`, or a ZIP when the
+ * output is more than one file (split output, extracted images). /metadata
+ * and /validate take `rendition` only. Every request's work runs on a worker
+ * thread (lib/batch-worker.js), like batch mode.
+ *
+ * Uploads above `maxUpload` bytes get 413 and requests beyond `jobs` running
+ * at once get 503. Each request works in a temp folder of its own, removed
+ * once it has been answered. Errors are JSON `{ error, code }`.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const http = require('node:http');
+const { pipeline } = require('node:stream/promises');
+const { IMAGE_POLICIES } = require('./convert');
+const { CHAPTER_TYPES } = require('./epub');
+const { EpubError } = require('./errors');
+const { FORMATS, getFormat } = require('./formats');
+const { CHUNK_FORMATS, CHUNK_UNITS } = require('./chunk');
+const { walkFiles, runBatch } = require('./batch');
+const { createZipWriter } = require('./zip-writer');
+const { createWorkspace, cleanup } = require('./workspace');
+
+class HttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const ROUTES = ['/convert', '/metadata', '/validate'];
+const FLAGS = ['split', 'nested', 'toc', 'summary', 'internal-links', 'front-matter'];
+const QUERY_OPTIONS = new Set([
+  ...FLAGS,
+  'format', 'toc-depth', 'include', 'exclude', 'rendition', 'image-policy', 'chunk', 'chunk-unit', 'chunk-overlap',
+]);
+
+function flag(query, name) {
+  if (!query.has(name)) return false;
+  const value = query.get(name).toLowerCase();
+  if (['', '1', 'true', 'yes'].includes(value)) return true;
+  if (['0', 'false', 'no'].includes(value)) return false;
+  throw new HttpError(400, `Query option ${name} expects true or false.`);
+}
+
+function wholeNumber(query, name, fallback, min) {
+  if (!query.has(name)) return fallback;
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < min) {
+    throw new HttpError(400, `Query option ${name} expects a whole number of ${min} or more.`);
+  }
+  return value;
+}
+
+function choice(query, name, choices, fallback = null) {
+  if (!query.has(name)) return fallback;
+  const value = query.get(name);
+  if (!choices.includes(value)) throw new HttpError(400, `Query option ${name} must be one of: ${choices.join(', ')}.`);
+  return value;
+}
+
+function chapterTypes(query, name) {
+  const types = (query.get(name) || '').split(',').map((type) => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.find((type) => !Object.prototype.hasOwnProperty.call(CHAPTER_TYPES, type));
+  if (unknown) throw new HttpError(400, `Query option ${name}: unknown chapter type "${unknown}".`);
+  return types;
+}
+
+// The batch-worker task for /convert, checked the way the CLI checks its flags.
+function conversionTask(query, { input, outDir, rulesConfig, profile }) {
+  const unknown = [...query.keys()].find((name) => !QUERY_OPTIONS.has(name));
+  if (unknown) throw new HttpError(400, `Unknown query option: ${unknown}`);
+  const flags = Object.fromEntries(FLAGS.map((name) => [name, flag(query, name)]));
+  const format = choice(query, 'format', Object.keys(FORMATS), 'markdown');
+  const imagePolicy = choice(query, 'image-policy', IMAGE_POLICIES);
+  if (flags.summary && format !== 'markdown') {
+    throw new HttpError(400, 'summary writes a Markdown SUMMARY.md; it works with format=markdown only.');
+  }
+  let chunk = null;
+  if (query.has('chunk')) {
+    const size = wholeNumber(query, 'chunk', null, 1);
+    const overlap = wholeNumber(query, 'chunk-overlap', 0, 0);
+    if (overlap >= size) throw new HttpError(400, 'Query option chunk-overlap must be below the chunk size.');
+    if (flags.split || flags.nested || flags.summary || flags.toc || imagePolicy === 'extract') {
+      throw new HttpError(400, 'chunk can\'t be combined with split, nested, summary, toc or image-policy=extract.');
+    }
+    if (!CHUNK_FORMATS.includes(format)) throw new HttpError(400, `chunk works with format ${CHUNK_FORMATS.join(' or ')}.`);
+    chunk = { size, unit: choice(query, 'chunk-unit', CHUNK_UNITS, 'chars'), overlap };
+  }
+  return {
+    input,
+    relative: path.basename(input),
+    outDir,
+    format,
+    chunk,
+    split: flags.split || flags.nested || flags.summary,
+    nested: flags.nested,
+    imagePolicy,
+    rulesConfig,
+    profile,
+    internalLinks: flags['internal-links'],
+    frontMatter: flags['front-matter'],
+    toc: flags.toc || flags.summary,
+    summary: flags.summary,
+    tocDepth: wholeNumber(query, 'toc-depth', 1, 1),
+    include: chapterTypes(query, 'include'),
+    exclude: chapterTypes(query, 'exclude'),
+    rendition: query.get('rendition') || null,
+    overlays: null,
+    force: true,
+  };
+}
+
+// The request target as a URL, or null when it doesn't parse.
+function requestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Streams the request body into `file`. Past `maxUpload` bytes the rest of
+// the body is thrown away and the upload fails with 413.
+function receiveUpload(req, file, maxUpload) {
+  const tooLarge = () => new HttpError(413, `The upload is larger than ${maxUpload} bytes.`);
+  if (Number(req.headers['content-length']) > maxUpload) return Promise.reject(tooLarge());
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(file);
+    let received = 0;
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(out);
+      out.destroy();
+      req.resume();
+      reject(err);
+    };
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxUpload) fail(tooLarge());
+    });
+    req.on('error', fail);
+    req.on('close', () => {
+      if (!req.complete) fail(new HttpError(400, 'The upload was cut off.'));
+    });
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (failed) return;
+      if (!received) reject(new HttpError(400, 'The request body is empty; send the EPUB as the body.'));
+      else resolve(received);
+    });
+    req.pipe(out);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers,
+  });
+  res.end(text);
+}
+
+function zipFolder(dir) {
+  const zip = createZipWriter();
+  walkFiles(dir, (filePath, relative) => zip.add(relative, fs.readFileSync(filePath)));
+  return zip.toBuffer();
+}
+
+async function handleConvert(req, res, query, workspace, settings) {
+  const input = path.join(workspace, 'book.epub');
+  const outDir = path.join(workspace, 'out');
+  const task = conversionTask(query, { input, outDir, rulesConfig: settings.rulesConfig, profile: settings.profile });
+  await receiveUpload(req, input, settings.maxUpload);
+  const [result] = await runBatch([task], { jobs: 1 });
+  if (result.status !== 'ok') throw new HttpError(result.code ? 422 : 500, result.error, result.code);
+
+  const headers = { 'X-Chapters': result.chapters, 'X-Warnings': result.warnings.length };
+  if (task.split || task.imagePolicy === 'extract') {
+    const archive = zipFolder(task.split ? result.output : outDir);
+    res.writeHead(200, {
+      ...headers,
+      'Content-Type': 'application/zip',
+      'Content-Length': archive.length,
+      'Content-Disposition': 'attachment; filename="book.zip"',
+    });
+    res.end(archive);
+    return;
+  }
+  const mediaType = task.chunk ? 'application/x-ndjson' : getFormat(task.format).mediaType;
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': `${mediaType}; charset=utf-8`,
+    'Content-Length': fs.statSync(result.output).size,
+    'Content-Disposition': `attachment; filename="${path.basename(result.output)}"`,
+  });
+  await pipeline(fs.createReadStream(result.output), res);
+}
+
+// /metadata and /validate (`kind`), on a worker like /convert.
+async function handleInspect(req, res, kind, query, workspace, settings) {
+  const unknown = [...query.keys()].find((name) => name !== 'rendition');
+  if (unknown) throw new HttpError(400, `Unknown query option: ${unknown}`);
+  const input = path.join(workspace, 'book.epub');
+  await receiveUpload(req, input, settings.maxUpload);
+  const [result] = await runBatch([{ kind, input, rendition: query.get('rendition') || null }], { jobs: 1 });
+  if (result.status !== 'ok') throw new HttpError(result.code ? 422 : 500, result.error, result.code);
+  // The temp path means nothing to the caller.
+  sendJson(res, 200, kind === 'validate' ? { ...result.body, input: null } : result.body);
+}
+
+// settings: { jobs, maxUpload (bytes), rulesConfig, profile, onLog(line) }.
+// Returns the http.Server, not yet listening.
+function createService({ jobs, maxUpload, rulesConfig = null, profile = null, onLog = () => {} }) {
+  const settings = { maxUpload, rulesConfig, profile };
+  let running = 0;
+
+  async function handle(req, res, url) {
+    if (!url) throw new HttpError(400, 'The request URL is malformed.');
+    if (!ROUTES.includes(url.pathname)) throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+    if (req.method !== 'POST') throw new HttpError(405, `${url.pathname} takes a POST with the EPUB as the body.`);
+    if (running >= jobs) throw new HttpError(503, `All ${jobs} job slots are busy; try again shortly.`);
+    running += 1;
+    const workspace = createWorkspace();
+    try {
+      if (url.pathname === '/convert') await handleConvert(req, res, url.searchParams, workspace, settings);
+      else await handleInspect(req, res, url.pathname.slice(1), url.searchParams, workspace, settings);
+    } finally {
+      running -= 1;
+      cleanup(workspace);
+    }
+  }
+
+  return http.createServer((req, res) => {
+    const startedAt = Date.now();
+    const url = requestUrl(req);
+    res.on('close', () => {
+      // Ended but possibly not yet flushed when the client hangs up first.
+      const outcome = res.writableEnded ? res.statusCode : 'aborted';
+      onLog(`${req.method} ${url ? url.pathname : req.url} ${outcome} ${Date.now() - startedAt}ms`);
+    });
+    handle(req, res, url).catch((err) => {
+      let status = 500;
+      if (err instanceof HttpError) status = err.status;
+      else if (err instanceof EpubError) status = 422;
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      const headers = {};
+      if (status === 503) headers['Retry-After'] = '1';
+      if (status === 405) headers.Allow = 'POST';
+      // An upload that was cut short leaves the connection unusable.
+      if (status === 413 || !req.complete) headers.Connection = 'close';
+      sendJson(res, status, { error: err.message, code: err.code || null }, headers);
+    });
+  });
+}
+
+module.exports = {
+  createService,
+};
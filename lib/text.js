@@ -0,0 +1,91 @@
+/**
+ * Text helpers shared by the package parser and the HTML converter: decoding
+ * file bytes in their declared encoding, attribute lookup on raw tags, entity
+ * decoding (the full HTML5 table) and tag stripping.
+ */
+
+const ENTITIES = require('./entities');
+
+// Bytes 0x80-0x9F in windows-1252; numeric references in that range mean
+// the same characters, as browsers read them (`&#150;` is an en dash).
+const WINDOWS_1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+  0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+const BYTE_ORDER_MARKS = [
+  { mark: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { mark: [0xFE, 0xFF], encoding: 'utf-16be' },
+  { mark: [0xFF, 0xFE], encoding: 'utf-16le' },
+];
+
+// The encoding named by an XML declaration or a <meta> charset (either form)
+// near the start of the file, or null.
+function declaredEncoding(bytes) {
+  const head = bytes.subarray(0, 1024).toString('latin1');
+  const xml = head.match(/^\s*<\?xml\b[^>]*?\bencoding\s*=\s*["']([^"']+)["']/i);
+  if (xml) return xml[1];
+  const meta = head.match(/<meta\b[^>]*?\bcharset\s*=\s*["']?([\w.:-]+)/i);
+  return meta ? meta[1] : null;
+}
+
+// Bytes to text: a byte order mark wins, then the declared encoding, then
+// UTF-8. A declaration TextDecoder doesn't know, or a UTF-16 one in a file
+// that was readable as ASCII, falls back to UTF-8. The BOM is dropped.
+function decodeText(bytes) {
+  const bom = BYTE_ORDER_MARKS.find(({ mark }) => mark.every((byte, idx) => bytes[idx] === byte));
+  let encoding = bom ? bom.encoding : (declaredEncoding(bytes) || 'utf-8').toLowerCase();
+  if (!bom && encoding.startsWith('utf-16')) encoding = 'utf-8';
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (err) {
+    decoder = new TextDecoder('utf-8');
+  }
+  // Node's windows-1252 decoder (which latin1 and ASCII labels also get)
+  // loses the 0x80-0x9F bytes, so that one is done here.
+  if (decoder.encoding === 'windows-1252') {
+    return bytes.toString('latin1').replace(/[\x80-\x9F]/g, (char) => {
+      const code = WINDOWS_1252[char.charCodeAt(0)];
+      return code ? String.fromCodePoint(code) : char;
+    });
+  }
+  return decoder.decode(bytes);
+}
+
+// The value of attribute `name` in a tag, in either quote style. The name must
+// follow whitespace, so `role` doesn't match `data-role`.
+function attrFromTag(tag, name) {
+  const regex = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]+)"|'([^']+)')`, 'i');
+  const match = tag.match(regex);
+  return match ? match[1] || match[2] : null;
+}
+
+function fromCodePoint(code) {
+  if (WINDOWS_1252[code]) return String.fromCodePoint(WINDOWS_1252[code]);
+  if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+  return String.fromCodePoint(code);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#[xX]([0-9a-fA-F]+)|#([0-9]+)|([A-Za-z][A-Za-z0-9]*));/g, (full, hex, decimal, name) => {
+    if (hex) return fromCodePoint(parseInt(hex, 16));
+    if (decimal) return fromCodePoint(parseInt(decimal, 10));
+    // &nbsp; has always come out as a plain space.
+    if (name === 'nbsp') return ' ';
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : full;
+  });
+}
+
+function stripTags(text) {
+  return decodeEntities(text.replace(/<[^>]+>/g, '')).trim();
+}
+
+module.exports = {
+  decodeText,
+  attrFromTag,
+  decodeEntities,
+  stripTags,
+};
@@ -0,0 +1,33 @@
+/**
+ * Temporary working folders, one per request in serve mode. cleanup() removes
+ * one as soon as its work is done; any still around when the process exits
+ * are removed then, as the CLI did with its unzip folder.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const workspaces = new Set();
+
+function createWorkspace() {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'epub2markup-'));
+  workspaces.add(workspace);
+  return workspace;
+}
+
+function cleanup(workspace) {
+  if (workspace && fs.existsSync(workspace)) {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+  workspaces.delete(workspace);
+}
+
+process.on('exit', () => {
+  for (const workspace of workspaces) cleanup(workspace);
+});
+
+module.exports = {
+  createWorkspace,
+  cleanup,
+};
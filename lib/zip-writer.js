@@ -0,0 +1,107 @@
+/**
+ * Minimal ZIP archive writer, the counterpart of lib/zip.js.
+ *
+ * Entries are deflated with `node:zlib` (or stored when that doesn't help,
+ * or when asked to, as EPUB requires for `mimetype`) and kept in memory until
+ * toBuffer() lays out the local headers, the central directory and its end
+ * record. Names are written as UTF-8. No ZIP64: archives must stay below 4 GB.
+ */
+
+const zlib = require('node:zlib');
+const { crc32 } = require('./zip');
+
+const SIG_LOCAL_HEADER = 0x04034b50;
+const SIG_CENTRAL_HEADER = 0x02014b50;
+const SIG_END_OF_CENTRAL_DIR = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const FLAG_UTF8 = 0x800;
+const VERSION_NEEDED = 20;
+const MAX_UINT32 = 0xffffffff;
+
+// MS-DOS date and time fields (local time, two-second resolution).
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function createZipWriter({ modified = new Date() } = {}) {
+  const { time, date } = dosDateTime(modified);
+  const chunks = [];
+  const central = [];
+  const names = new Set();
+  let offset = 0;
+
+  // data: Buffer or string (written as UTF-8).
+  function add(name, data, { compress = true } = {}) {
+    if (names.has(name)) throw new Error(`Duplicate ZIP entry: ${name}`);
+    names.add(name);
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const deflated = compress ? zlib.deflateRawSync(content) : null;
+    const stored = !deflated || deflated.length >= content.length;
+    const body = stored ? content : deflated;
+    const nameBytes = Buffer.from(name, 'utf8');
+    const flags = /^[\x20-\x7e]*$/.test(name) ? 0 : FLAG_UTF8;
+    const crc = crc32(content);
+    if (offset + 30 + nameBytes.length + body.length > MAX_UINT32) {
+      throw new Error('ZIP archive too large (over 4 GB).');
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(SIG_LOCAL_HEADER, 0);
+    local.writeUInt16LE(VERSION_NEEDED, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(stored ? METHOD_STORED : METHOD_DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+    chunks.push(local, nameBytes, body);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(SIG_CENTRAL_HEADER, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(VERSION_NEEDED, 6);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt16LE(stored ? METHOD_STORED : METHOD_DEFLATED, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(body.length, 20);
+    header.writeUInt32LE(content.length, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    // Extra field, comment, disk number, attributes: all zero.
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBytes);
+
+    offset += local.length + nameBytes.length + body.length;
+  }
+
+  function toBuffer() {
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(SIG_END_OF_CENTRAL_DIR, 0);
+    end.writeUInt16LE(names.size, 8);
+    end.writeUInt16LE(names.size, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...chunks, directory, end]);
+  }
+
+  return {
+    add,
+    has: (name) => names.has(name),
+    toBuffer,
+  };
+}
+
+module.exports = {
+  createZipWriter,
+};
@@ -0,0 +1,248 @@
+/**
+ * Minimal read-only ZIP archive reader.
+ *
+ * Reads the central directory once and inflates entries on demand with
+ * `node:zlib`, so only the files we actually need are ever decompressed.
+ * Supports stored and deflated entries, ZIP64 sizes/offsets and entries
+ * written with data descriptors. Encrypted entries are rejected.
+ */
+
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+
+const SIG_LOCAL_HEADER = 0x04034b50;
+const SIG_CENTRAL_HEADER = 0x02014b50;
+const SIG_END_OF_CENTRAL_DIR = 0x06054b50;
+const SIG_ZIP64_END_OF_CENTRAL_DIR = 0x06064b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function createSource(input) {
+  if (Buffer.isBuffer(input)) {
+    return {
+      size: input.length,
+      read: (offset, length) => input.subarray(offset, offset + length),
+    };
+  }
+  const filePath = input;
+  const { size } = fs.statSync(filePath);
+  return {
+    size,
+    read: (offset, length) => {
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        let done = 0;
+        while (done < length) {
+          const bytes = fs.readSync(fd, buffer, done, length - done, offset + done);
+          if (!bytes) break;
+          done += bytes;
+        }
+        return done === length ? buffer : buffer.subarray(0, done);
+      } finally {
+        fs.closeSync(fd);
+      }
+    },
+  };
+}
+
+function readUInt64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('ZIP64 value exceeds the supported range.');
+  }
+  return Number(value);
+}
+
+function findEndOfCentralDirectory(source) {
+  const tailLength = Math.min(source.size, EOCD_SIZE + MAX_COMMENT_SIZE + ZIP64_LOCATOR_SIZE);
+  const tailStart = source.size - tailLength;
+  const tail = source.read(tailStart, tailLength);
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === SIG_END_OF_CENTRAL_DIR) {
+      return { tail, tailStart, index: i };
+    }
+  }
+  throw new Error('Not a ZIP archive: end of central directory record not found.');
+}
+
+function readCentralDirectoryLocation(source) {
+  const { tail, tailStart, index } = findEndOfCentralDirectory(source);
+  let count = tail.readUInt16LE(index + 10);
+  let size = tail.readUInt32LE(index + 12);
+  let offset = tail.readUInt32LE(index + 16);
+
+  // Saturated fields mean the real values live in the ZIP64 end record.
+  const needsZip64 = count === 0xffff || size === 0xffffffff || offset === 0xffffffff;
+  const locatorIndex = index - ZIP64_LOCATOR_SIZE;
+  if (locatorIndex >= 0 && tail.readUInt32LE(locatorIndex) === SIG_ZIP64_LOCATOR) {
+    const recordOffset = readUInt64(tail, locatorIndex + 8);
+    const record = source.read(recordOffset, 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== SIG_ZIP64_END_OF_CENTRAL_DIR) {
+      throw new Error('Corrupt ZIP64 archive: end of central directory record not found.');
+    }
+    count = readUInt64(record, 32);
+    size = readUInt64(record, 40);
+    offset = readUInt64(record, 48);
+  } else if (needsZip64) {
+    throw new Error('Corrupt ZIP64 archive: locator record not found.');
+  }
+
+  if (offset + size > tailStart + index) {
+    throw new Error('Corrupt ZIP archive: central directory lies outside the file.');
+  }
+  return { count, size, offset };
+}
+
+function applyZip64Extra(entry, extra) {
+  let pos = 0;
+  while (pos + 4 <= extra.length) {
+    const id = extra.readUInt16LE(pos);
+    const length = extra.readUInt16LE(pos + 2);
+    const start = pos + 4;
+    if (id === 0x0001) {
+      // Only the fields saturated in the fixed header are present, in this order.
+      let cursor = start;
+      if (entry.size === 0xffffffff) {
+        entry.size = readUInt64(extra, cursor);
+        cursor += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = readUInt64(extra, cursor);
+        cursor += 8;
+      }
+      if (entry.localHeaderOffset === 0xffffffff) {
+        entry.localHeaderOffset = readUInt64(extra, cursor);
+      }
+      return;
+    }
+    pos = start + length;
+  }
+}
+
+function readCentralDirectory(source) {
+  const location = readCentralDirectoryLocation(source);
+  const directory = source.read(location.offset, location.size);
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < location.count; i += 1) {
+    if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== SIG_CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP archive: bad central directory entry.');
+    }
+    const flags = directory.readUInt16LE(pos + 8);
+    const nameLength = directory.readUInt16LE(pos + 28);
+    const extraLength = directory.readUInt16LE(pos + 30);
+    const commentLength = directory.readUInt16LE(pos + 32);
+    const nameStart = pos + 46;
+    const nameBytes = directory.subarray(nameStart, nameStart + nameLength);
+    const entry = {
+      name: nameBytes.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1'),
+      flags,
+      method: directory.readUInt16LE(pos + 10),
+      crc32: directory.readUInt32LE(pos + 16),
+      compressedSize: directory.readUInt32LE(pos + 20),
+      size: directory.readUInt32LE(pos + 24),
+      localHeaderOffset: directory.readUInt32LE(pos + 42),
+    };
+    // Most EPUB tools write UTF-8 names without setting the flag.
+    if (!(flags & FLAG_UTF8)) {
+      const asUtf8 = nameBytes.toString('utf8');
+      if (!asUtf8.includes('�')) entry.name = asUtf8;
+    }
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+    entry.encrypted = Boolean(flags & FLAG_ENCRYPTED);
+    entry.directory = entry.name.endsWith('/');
+    entries.set(entry.name, entry);
+    pos = nameStart + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function openZip(input) {
+  const source = createSource(input);
+  const entries = readCentralDirectory(source);
+
+  function getEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`Entry not found in archive: ${name}`);
+    return entry;
+  }
+
+  function read(name) {
+    const entry = getEntry(name);
+    if (entry.encrypted) {
+      throw new Error(`Entry "${name}" is encrypted; encrypted archives are not supported.`);
+    }
+    const header = source.read(entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== SIG_LOCAL_HEADER) {
+      throw new Error(`Corrupt ZIP archive: bad local header for "${name}".`);
+    }
+    // Sizes come from the central directory; the local header may hold zeros
+    // when a data descriptor follows the entry data.
+    const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const raw = source.read(dataStart, entry.compressedSize);
+    if (raw.length !== entry.compressedSize) {
+      throw new Error(`Corrupt ZIP archive: "${name}" is truncated.`);
+    }
+
+    let data;
+    if (entry.method === METHOD_STORED) {
+      data = raw;
+    } else if (entry.method === METHOD_DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(raw);
+      } catch (err) {
+        throw new Error(`Could not inflate "${name}": ${err.message}`);
+      }
+    } else {
+      throw new Error(`Entry "${name}" uses unsupported compression method ${entry.method}.`);
+    }
+
+    if (data.length !== entry.size || crc32(data) !== entry.crc32) {
+      throw new Error(`Corrupt ZIP archive: checksum mismatch for "${name}".`);
+    }
+    return data;
+  }
+
+  return {
+    entries,
+    has: (name) => entries.has(name),
+    list: () => Array.from(entries.keys()),
+    read,
+    readText: (name) => read(name).toString('utf8'),
+  };
+}
+
+module.exports = {
+  openZip,
+  crc32,
+};